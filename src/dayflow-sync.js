@@ -3,47 +3,53 @@
 /**
  * Dayflow Sync - Export Dayflow timeline data to markdown notes
  *
+ * Command-line front end for the library in ./index.js: reads flags and the
+ * config file, prints progress, and turns library errors into help text.
+ *
  * PRIVACY & SECURITY:
  * - This tool processes data 100% locally on your machine
  * - Opens Dayflow's SQLite database in READ-ONLY mode
- * - NO network calls - NO data uploads - NO tracking
+ * - NO outbound network calls - NO data uploads - NO tracking
+ * - The serve command's local server binds only to 127.0.0.1 (this machine);
+ *   its page fetches from that same server and nowhere else
  * - Only writes markdown files to your local filesystem
- * - You can verify: grep -r "http\|https\|fetch\|axios" src/
+ * - You can verify: grep -rn "http\.\|https\.\|fetch(" src/ finds only the
+ *   serve command's server and the page's relative /api requests
  */
 
-import Database from 'better-sqlite3';
-import fs from 'fs/promises';
-import fsSync from 'fs';
 import path from 'path';
-import os from 'os';
-import yaml from 'js-yaml';
 import { Command } from 'commander';
-import { format, subDays, addDays } from 'date-fns';
-
-// ==================== Configuration ====================
-const CONFIG = {
-  // Default Dayflow database location (macOS only)
-  dayflowDbPath: path.join(
-    os.homedir(),
-    'Library/Application Support/Dayflow/chunks.sqlite'
-  ),
-  // Default output directory (current working directory)
-  defaultOutputDir: './dayflow-notes',
-};
-
-// ==================== Platform Validation ====================
-function validatePlatform() {
-  if (process.platform !== 'darwin') {
-    console.error('\n❌ Dayflow is a macOS-only application\n');
-    console.error('This sync tool requires:');
-    console.error('  • macOS operating system');
-    console.error('  • Dayflow app installed from https://dayflow.space');
-    console.error('  • Dayflow database at ~/Library/Application Support/Dayflow/\n');
-    process.exit(1);
-  }
-}
+import {
+  syncDayflow,
+  watchDayflow,
+  searchDayflow,
+  statsDayflow,
+  serveDayflow,
+  formatStatsReport,
+  resolveSyncOptions,
+  loadConfigSettings,
+  expandHomeDir,
+  DEFAULT_TEMPLATE,
+  CONFIG,
+  OUTPUT_FORMATS,
+  TARGETS,
+  VIDEO_EMBEDS,
+  DayflowSyncError,
+  OptionsError,
+  ConfigError,
+  PlatformError,
+  DatabaseError,
+  TemplateError,
+  WriteError
+} from './index.js';
 
 // ==================== CLI Setup ====================
+// --db may repeat; `work=~/path/chunks.sqlite` labels a database with its device
+function collectDatabase(value, previous = []) {
+  const match = value.match(/^([\w-]+)=(.+)$/);
+  return [...previous, match ? { device: match[1], path: match[2] } : { device: null, path: value }];
+}
+
 const program = new Command();
 program
   .name('dayflow-sync')
@@ -51,588 +57,514 @@ program
   .version('1.0.0')
   .option('-d, --days <number>', 'Number of days to sync (1-365)', '7')
   .option('-o, --output <path>', 'Output directory path (default: ./dayflow-notes)')
-  .option('--db <path>', 'Custom Dayflow database path (overrides default location)')
+  .option('--db <[device=]path>', 'Custom Dayflow database path (overrides default location); repeat with device labels to merge several', collectDatabase)
   .option('--includeDeleted <0|1>', 'Include deleted timeline cards', '0')
   .option('-f, --force', 'Force regenerate all notes, including complete days', false)
-  .parse(process.argv);
-
-const options = program.opts();
-const DAYS = parseInt(options.days, 10);
-const INCLUDE_DELETED = parseInt(options.includeDeleted, 10) === 1;
-const FORCE = options.force;
-
-// Configuration with environment variable fallbacks
-const OUTPUT_DIR = path.resolve(
-  options.output ||
-  process.env.DAYFLOW_OUTPUT_DIR ||
-  CONFIG.defaultOutputDir
-);
-
-const DB_PATH = options.db ||
-                process.env.DAYFLOW_DB_PATH ||
-                CONFIG.dayflowDbPath;
-
-// ==================== Database Functions ====================
-/**
- * Opens the Dayflow database in READ-ONLY mode for privacy and safety.
- * This ensures the tool cannot modify your Dayflow data.
- */
-function openDatabase() {
-  if (!fsSync.existsSync(DB_PATH)) {
-    console.error('\n❌ Dayflow database not found!\n');
-    console.error('Expected location:');
-    console.error(`  ${DB_PATH}\n`);
-    console.error('Possible solutions:');
-    console.error('  1. Install Dayflow from https://dayflow.space');
-    console.error('  2. Open Dayflow and let it record for a few minutes');
-    console.error('  3. Verify Dayflow is tracking your activity');
-    console.error('  4. Specify custom path with --db flag\n');
-    console.error('Example:');
-    console.error('  dayflow-sync --db ~/path/to/chunks.sqlite\n');
-    process.exit(1);
-  }
-
-  try {
-    // PRIVACY: Open database in READ-ONLY mode - cannot modify Dayflow data
-    const db = new Database(DB_PATH, { readonly: true });
-
-    // Test connection
-    db.prepare('SELECT COUNT(*) FROM timeline_cards').get();
-    return db;
-  } catch (error) {
-    console.error('\n❌ Failed to open Dayflow database\n');
-    console.error(`Error: ${error.message}\n`);
-    console.error('Possible causes:');
-    console.error('  • Database is corrupted');
-    console.error('  • Insufficient read permissions');
-    console.error('  • Database format has changed\n');
-    process.exit(1);
-  }
-}
+  .option('-n, --dry-run', 'Show what each day would do without writing anything; exits with 2 when changes are pending', false)
+  .option('--diff', 'With --dry-run, print a unified diff for every file that would change (implies --dry-run)', false)
+  .option('--no-rollups', 'Skip weekly and monthly rollup notes')
+  .option('-t, --template <path>', 'Custom note template file (default: built-in layout)')
+  .option('--print-template', 'Print the built-in note template and exit', false)
+  .option('-r, --rules <path>', 'Rules file for renaming categories and assigning or dropping cards')
+  .option('--redact-report', 'List what the rules file\'s redact section masked, without the masked text', false)
+  .option('-p, --profile <name>', 'Use a named profile from the config file')
+  .option('-c, --config <path>', 'Config file path (default: ~/.config/dayflow-sync/config.yaml)')
+  .option('--from <date>', 'First day to sync (YYYY-MM-DD)')
+  .option('--to <date>', 'Last day to sync (YYYY-MM-DD, default: today)')
+  .option('--day-start <hour>', 'Hour (0-23) a day starts at; Dayflow uses 4', String(CONFIG.dayflowDayStartHour))
+  .option('--timezone <tz>', 'IANA timezone for day boundaries and card times (default: system timezone)')
+  .option('--visuals', 'Add Mermaid charts of the day (timeline gantt and category pie) to daily notes', false)
+  .option('--gap-threshold <minutes>', 'Report gaps between cards at least this long as untracked time', String(CONFIG.defaultGapThresholdMinutes))
+  .option('-i, --incremental', 'Only regenerate days whose Dayflow data changed since the last run', false)
+  .option('--target <app>', `Markdown flavour: ${TARGETS.join(', ')}`, 'obsidian')
+  .option('--wikilinks', 'Link apps and categories as [[wikilinks]] and maintain index pages for them', false)
+  .option('--index-folder <name>', 'Folder for wikilink index pages, inside the output directory', CONFIG.defaultIndexFolder)
+  .option('--attach-videos', 'Copy video summaries into the output directory and embed them in notes', false)
+  .option('--attachments-folder <name>', 'Folder for copied videos, inside the output directory', CONFIG.defaultAttachmentsFolder)
+  .option('--max-video-size <mb>', 'Largest video to copy, in megabytes; bigger ones stay linked', String(CONFIG.defaultMaxVideoSizeMb))
+  .option('--video-embed <style>', `How copied videos are embedded: ${VIDEO_EMBEDS.join(', ')}`, 'wikilink')
+  .option('--format <formats>', `Comma-separated output formats (${Object.keys(OUTPUT_FORMATS).join(', ')})`, 'markdown')
+  .option('-w, --watch', 'Keep running and re-sync notes whenever the Dayflow database changes', false)
+  .option('--debounce <ms>', 'Watch mode: wait this long after the last write before syncing', String(CONFIG.defaultDebounceMs))
+  .action(() => {
+    command = { name: 'sync' };
+  });
 
-function fetchTimelineCardsForDay(db, dayString, includeDeleted = false) {
-  const query = `
-    SELECT
-      id, batch_id, start, end, start_ts, end_ts, day,
-      title, summary, detailed_summary, category, subcategory,
-      metadata, video_summary_url, created_at
-    FROM timeline_cards
-    WHERE day = ? ${includeDeleted ? '' : 'AND is_deleted = 0'}
-    ORDER BY start_ts ASC
-  `;
-
-  return db.prepare(query).all(dayString);
-}
+// Shares the options above: --db, --from/--to, --days, --config, --output, ...
+program
+  .command('search <query>')
+  .description('Search card titles, summaries, distractions and journal entries in the Dayflow database')
+  .option('--category <names>', 'Only cards in these categories (comma-separated)')
+  .option('--app <names>', 'Only cards using these apps (comma-separated)')
+  .option('--json', 'Print matches as JSON', false)
+  .addHelpText('after', '\nAlso takes --db, --output, --config, --profile, --rules, --day-start, --timezone\nand a date range (--from/--to or --days; default: every day in the database).')
+  .action((query, searchOptions) => {
+    command = { name: 'search', query, options: searchOptions };
+  });
 
-function fetchJournalEntryForDay(db, dayString) {
-  const query = `
-    SELECT
-      id, day, intentions, notes, goals, reflections,
-      summary, status, created_at, updated_at
-    FROM journal_entries
-    WHERE day = ?
-  `;
+program
+  .command('stats')
+  .description('Report trends across a date range: focus time per weekday, distraction ratio, longest focus block, category drift')
+  .option('--focus <categories>', 'Categories that count as focus time (comma-separated)', 'Work')
+  .option('--markdown', 'Also write the report as a markdown note in the output directory', false)
+  .option('--json', 'Also write the report as JSON in the output directory', false)
+  .addHelpText('after', `\nAlso takes --db, --output, --config, --profile, --rules, --day-start, --timezone\nand a date range (--from/--to or --days; default: the last ${CONFIG.defaultStatsDays} days).`)
+  .action(statsOptions => {
+    command = { name: 'stats', options: statsOptions };
+  });
 
-  return db.prepare(query).get(dayString);
-}
+program
+  .command('serve')
+  .description('Browse the timeline in a local, read-only web page and JSON API (127.0.0.1 only)')
+  .option('--port <number>', 'Port to listen on', String(CONFIG.defaultServePort))
+  .addHelpText('after', `\nAlso takes --db, --config, --profile, --rules, --day-start, --timezone\nand a date range for the day picker (--from/--to or --days; default: the last ${CONFIG.defaultServeDays} days).`)
+  .action(serveOptions => {
+    command = { name: 'serve', options: serveOptions };
+  });
 
-function parseMetadata(metadataJson) {
-  if (!metadataJson) {
-    return { distractions: [], appSites: {} };
-  }
+let command = null;
+program.parse(process.argv);
 
-  try {
-    const parsed = JSON.parse(metadataJson);
-    return {
-      distractions: Array.isArray(parsed.distractions) ? parsed.distractions : [],
-      appSites: parsed.appSites || {}
-    };
-  } catch (error) {
-    console.warn(`Failed to parse metadata: ${error.message}`);
-    return { distractions: [], appSites: {} };
-  }
-}
+const options = program.opts();
+const PROFILE = options.profile || null;
+const WATCH = options.watch;
 
-// ==================== Date Functions ====================
+// ==================== Settings ====================
 /**
- * Check if a day is complete (current time is past 4 AM of the NEXT day)
- * Used to determine if a day's note should be updated or skipped
+ * Maps flags and the config file onto syncDayflow options.
+ * CLI flags win over the config file; the file wins over commander's defaults.
  */
-function isDayComplete(dayString) {
-  const dayDate = new Date(dayString + 'T04:00:00');
-  const nextDay4AM = addDays(dayDate, 1);
-  return new Date() >= nextDay4AM;
+function buildSyncOptions() {
+  const configPath = path.resolve(expandHomeDir(options.config || CONFIG.configPath));
+  const fileSettings = loadConfigSettings(configPath, PROFILE, !!(options.config || options.profile));
+  // `option` is commander's key for the flag when it differs from the setting's name
+  const setting = (key, option = key) => program.getOptionValueSource(option) === 'cli' ? undefined : fileSettings[key];
+
+  return {
+    days: setting('days') ?? parseInt(options.days, 10),
+    from: options.from,
+    to: options.to,
+    dayStartHour: setting('dayStartHour', 'dayStart') ?? parseInt(options.dayStart, 10),
+    timezone: setting('timezone') ?? options.timezone,
+    gapThreshold: setting('gapThreshold') ?? parseInt(options.gapThreshold, 10),
+    includeDeleted: Boolean(setting('includeDeleted') ?? parseInt(options.includeDeleted, 10) === 1),
+    force: options.force,
+    dryRun: options.dryRun || options.diff,
+    diff: options.diff,
+    incremental: setting('incremental') ?? options.incremental,
+    target: setting('target') ?? options.target,
+    rollups: setting('rollups') ?? options.rollups,
+    template: options.template || fileSettings.template,
+    rules: options.rules || fileSettings.rules,
+    filenamePattern: fileSettings.filenamePattern,
+    formats: program.getOptionValueSource('format') === 'cli' || !fileSettings.formats
+      ? options.format
+      : fileSettings.formats,
+    wikilinks: setting('wikilinks') ?? options.wikilinks,
+    indexFolder: setting('indexFolder') ?? options.indexFolder,
+    attachVideos: setting('attachVideos') ?? options.attachVideos,
+    attachmentsFolder: setting('attachmentsFolder') ?? options.attachmentsFolder,
+    maxVideoSize: setting('maxVideoSize') ?? parseFloat(options.maxVideoSize),
+    videoEmbed: setting('videoEmbed') ?? options.videoEmbed,
+    sections: options.visuals
+      ? { ...fileSettings.sections, timelineChart: true, categoryChart: true }
+      : fileSettings.sections,
+    debounceMs: Math.max(0, parseInt(options.debounce, 10) || 0),
+    // Precedence: CLI flag, config profile, config defaults, environment variable, built-in default
+    outputDir: options.output || fileSettings.output || process.env.DAYFLOW_OUTPUT_DIR,
+    databases: options.db ?? fileSettings.databases,
+    dbPath: fileSettings.db || process.env.DAYFLOW_DB_PATH,
+    logger: console
+  };
 }
 
-/**
- * Replicates Dayflow's 4 AM day boundary logic.
- *
- * Dayflow considers a "day" to run from 4:00 AM to 3:59 AM the next calendar day.
- * This matches natural sleep/work patterns and ensures late-night activities
- * are grouped with the correct working day.
- *
- * @param {Date} date - Reference date/time
- * @returns {Object} { dayString, startOfDay, endOfDay }
- *
- * @example
- * // Activity at 2:00 AM on Dec 20
- * getDayInfoFor4AMBoundary(new Date('2024-12-20T02:00:00'))
- * // Returns: { dayString: '2024-12-19', ... }
- */
-function getDayInfoFor4AMBoundary(date) {
-  const fourAMToday = new Date(date);
-  fourAMToday.setHours(4, 0, 0, 0);
-
-  if (date < fourAMToday) {
-    // Before 4AM today = previous day
-    const startOfDay = subDays(fourAMToday, 1);
-    return {
-      dayString: format(startOfDay, 'yyyy-MM-dd'),
-      startOfDay: startOfDay,
-      endOfDay: fourAMToday
-    };
+// ==================== Output ====================
+function printConfiguration(settings) {
+  console.log('Configuration:');
+  if (PROFILE) {
+    console.log(`  Profile: ${PROFILE}`);
+  }
+  if (settings.databases.length > 1) {
+    console.log('  Databases:');
+    settings.databases.forEach(({ device, path: dbPath }) => console.log(`    ${device}: ${dbPath}`));
   } else {
-    // After 4AM = current day
-    return {
-      dayString: format(fourAMToday, 'yyyy-MM-dd'),
-      startOfDay: fourAMToday,
-      endOfDay: addDays(fourAMToday, 1)
-    };
+    console.log(`  Database: ${settings.dbPath}`);
   }
-}
-
-function calculateDateRange(days) {
-  const today = new Date();
-  const dates = [];
-
-  for (let i = 0; i < days; i++) {
-    const date = subDays(today, i);
-    const dayInfo = getDayInfoFor4AMBoundary(date);
-    // Avoid duplicates by using a Set
-    if (!dates.includes(dayInfo.dayString)) {
-      dates.push(dayInfo.dayString);
-    }
+  console.log(`  Output: ${settings.outputDir}`);
+  if (settings.from) {
+    console.log(`  Date range: ${settings.from} to ${settings.to}`);
+  } else {
+    console.log(`  Days to sync: ${settings.days}`);
   }
-
-  return [...new Set(dates)]; // Remove any duplicates
-}
-
-// ==================== Data Processing Functions ====================
-function calculateDuration(startTs, endTs) {
-  return Math.round((endTs - startTs) / 60); // Convert seconds to minutes
-}
-
-function formatDayString(dayString) {
-  const date = new Date(dayString + 'T00:00:00');
-  return format(date, 'MMMM d, yyyy');
-}
-
-function extractCategories(cards) {
-  const categories = new Set();
-  cards.forEach(card => {
-    if (card.category) {
-      categories.add(card.category);
-    }
-  });
-  return Array.from(categories);
-}
-
-function calculateTotalMinutes(cards) {
-  return cards.reduce((total, card) => {
-    return total + calculateDuration(card.start_ts, card.end_ts);
-  }, 0);
-}
-
-function aggregateAppUsage(cards) {
-  const appStats = {};
-
-  cards.forEach(card => {
-    const metadata = parseMetadata(card.metadata);
-    const duration = calculateDuration(card.start_ts, card.end_ts);
-
-    [metadata.appSites?.primary, metadata.appSites?.secondary]
-      .filter(Boolean)
-      .forEach(app => {
-        if (!appStats[app]) {
-          appStats[app] = { sessions: 0, totalMinutes: 0 };
-        }
-        appStats[app].sessions += 1;
-        appStats[app].totalMinutes += duration;
-      });
-  });
-
-  return Object.entries(appStats)
-    .sort((a, b) => b[1].totalMinutes - a[1].totalMinutes)
-    .map(([app, stats]) => ({ app, ...stats }));
-}
-
-function extractAllDistractions(cards) {
-  const allDistractions = [];
-
-  cards.forEach(card => {
-    const metadata = parseMetadata(card.metadata);
-    if (metadata.distractions && metadata.distractions.length > 0) {
-      metadata.distractions.forEach(d => {
-        allDistractions.push({
-          ...d,
-          cardStart: card.start,
-          cardEnd: card.end
-        });
-      });
+  if (settings.rebucket) {
+    console.log(`  Day boundary: ${settings.dayStartHour}:00 ${settings.timezone || 'local time'} (re-bucketing cards by time)`);
+  }
+  console.log(`  Incremental: ${settings.incremental ? 'Yes' : 'No'}`);
+  console.log(`  Watch: ${WATCH ? `Yes (debounce ${settings.debounceMs}ms)` : 'No'}`);
+  console.log(`  Formats: ${settings.formats.join(', ')}`);
+  console.log(`  Target: ${settings.target}`);
+  if (settings.wikilinks) {
+    console.log(`  Wikilinks: Yes (index pages in ${settings.indexFolder}/)`);
+  }
+  if (settings.target === 'logseq') {
+    if (settings.template) {
+      console.log('  ⚠ Templates only apply to the obsidian target; ignoring --template');
     }
-  });
-
-  return allDistractions;
-}
-
-// ==================== Markdown Generation Functions ====================
-function generateFrontmatter(dayString, cards, journal, existingCreatedAt = null) {
-  const totalMinutes = calculateTotalMinutes(cards);
-  const categories = extractCategories(cards);
-
-  const frontmatter = {
-    dayflow_day: dayString,
-    day_boundary: '4am',
-    total_cards: cards.length,
-    total_minutes: totalMinutes,
-    categories: categories,
-    has_journal: !!journal,
-    journal_status: journal?.status || null,
-    created_at: existingCreatedAt || new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-    tags: ['dayflow', 'timeline', ...categories.map(c => c.toLowerCase())]
-  };
-
-  return '---\n' + yaml.dump(frontmatter) + '---\n';
+  } else {
+    console.log(`  Template: ${settings.template || 'built-in'}`);
+  }
+  if (settings.attachVideos) {
+    console.log(`  Videos: copied to ${settings.attachmentsFolder}/ (up to ${settings.maxVideoSize} MB)`);
+  }
+  if (settings.rules.file) {
+    console.log(`  Rules: ${settings.rules.file}`);
+  }
+  if (settings.dryRun) {
+    console.log('  Dry run: Yes (nothing will be written)');
+  }
+  console.log(`  Force regenerate: ${settings.force ? 'Yes' : 'No'}\n`);
 }
 
-function generateDailySummary(cards, dayString) {
-  const totalMinutes = calculateTotalMinutes(cards);
-  const hours = (totalMinutes / 60).toFixed(1);
-  const categories = extractCategories(cards);
-
-  const categoryCounts = {};
-  let totalCategoryMinutes = 0;
-  cards.forEach(card => {
-    const cat = card.category || 'Uncategorized';
-    const duration = calculateDuration(card.start_ts, card.end_ts);
-    categoryCounts[cat] = (categoryCounts[cat] || 0) + duration;
-    totalCategoryMinutes += duration;
-  });
-
-  const categoryPercentages = Object.entries(categoryCounts)
-    .map(([cat, mins]) => {
-      const pct = Math.round((mins / totalCategoryMinutes) * 100);
-      return `${cat} (${pct}%)`;
-    })
-    .join(', ');
-
-  return `# Dayflow: ${formatDayString(dayString)}
-
-## Daily Summary
-**Total tracked time**: ${hours} hours (${totalMinutes} minutes)
-**Categories**: ${categoryPercentages || 'None'}
-**Timeline cards**: ${cards.length}
-
----
-`;
+// Cards added, removed or rewritten in Dayflow since the notes were last written
+function printCardChanges(result) {
+  if (result.cardChanges.length === 0) {
+    return;
+  }
+  const total = key => result.cardChanges.reduce((sum, day) => sum + day[key], 0);
+  console.log(`  Card changes: ${total('added')} added, ${total('removed')} removed, ${total('rewritten')} rewritten (${result.cardChanges.length} day(s))`);
 }
 
-function generateJournalSection(journal) {
-  if (!journal) {
-    return '';
+function printSummary(result) {
+  console.log('\n┌─────────────────────────────────────────────┐');
+  console.log('│  Sync Complete!                             │');
+  console.log('└─────────────────────────────────────────────┘');
+  console.log(`  New notes: ${result.created.length}`);
+  console.log(`  Updated notes: ${result.updated.length}`);
+  console.log(`  Skipped: ${result.skipped.length + result.errors.length}`);
+  console.log(`  Total days: ${result.dates.length}`);
+  printCardChanges(result);
+  if (result.rollups) {
+    const { created, updated, skipped } = result.rollups;
+    console.log(`  Rollups: ${created} new, ${updated} updated, ${skipped} skipped`);
   }
-
-  let section = '';
-
-  if (journal.intentions) {
-    section += `## Morning Intentions\n${journal.intentions}\n\n`;
+  if (result.indexPages) {
+    console.log(`  Index pages: ${result.indexPages.created} new, ${result.indexPages.updated} updated`);
   }
+  console.log(`\n  Output directory: ${result.outputDir}\n`);
+}
 
-  if (journal.goals) {
-    section += `## Daily Goals\n${journal.goals}\n\n`;
+/**
+ * Lists the files a dry run would write, with diffs when --diff is set.
+ */
+function printDryRunSummary(result) {
+  console.log('\n┌─────────────────────────────────────────────┐');
+  console.log('│  Dry Run Complete (nothing written)         │');
+  console.log('└─────────────────────────────────────────────┘');
+  console.log(`  Would create: ${result.changes.filter(change => change.action === 'create').length} file(s)`);
+  console.log(`  Would update: ${result.changes.filter(change => change.action === 'update').length} file(s)`);
+  if (result.changes.some(change => change.action === 'delete')) {
+    console.log(`  Would delete: ${result.changes.filter(change => change.action === 'delete').length} file(s)`);
   }
-
-  if (journal.notes) {
-    section += `## Journal Notes\n${journal.notes}\n\n`;
+  console.log(`  Skipped: ${result.skipped.length + result.errors.length} day(s)`);
+  console.log(`  Total days: ${result.dates.length}`);
+  printCardChanges(result);
+  console.log(`\n  Output directory: ${result.outputDir}\n`);
+
+  if (result.changes.length === 0) {
+    console.log('No changes pending\n');
+    return;
   }
 
-  return section ? section + '---\n\n' : '';
+  console.log('Pending changes:');
+  result.changes.forEach(({ file, action, reason }) => {
+    console.log(`  ${{ create: '+', update: '~', delete: '-' }[action]} ${file} (${reason})`);
+  });
+  console.log('');
+
+  result.changes
+    .filter(change => change.diff)
+    .forEach(change => process.stdout.write(`${change.diff}\n`));
 }
 
-function generateTimelineSection(cards) {
-  if (cards.length === 0) {
-    return '## Timeline\n*No timeline cards for this day*\n\n---\n\n';
+/**
+ * Lists which redaction rules fired on which days. Only rule names, fields
+ * and counts are printed, never the text that was masked.
+ */
+function printRedactionReport(settings, result) {
+  console.log('Redaction report:');
+  if (!settings.rules.redact) {
+    console.log('  No redact section in the rules file\n');
+    return;
+  }
+  if (result.redactions.length === 0) {
+    console.log('  Nothing redacted in the synced days\n');
+    return;
   }
 
-  const sections = cards.map(card => {
-    const metadata = parseMetadata(card.metadata);
-    const duration = calculateDuration(card.start_ts, card.end_ts);
-
-    let section = `### ${card.start} - ${card.end} | ${card.category || 'Uncategorized'}\n`;
-    section += `**${card.title}**\n\n`;
-
-    if (card.detailed_summary) {
-      section += `${card.detailed_summary}\n\n`;
-    } else if (card.summary) {
-      section += `${card.summary}\n\n`;
-    }
-
-    // Add metadata
-    const apps = [
-      metadata.appSites?.primary,
-      metadata.appSites?.secondary
-    ].filter(Boolean);
-
-    if (apps.length > 0) {
-      section += `**Apps**: ${apps.join(', ')}\n`;
-    }
-
-    section += `**Duration**: ${duration} minutes\n`;
-
-    if (card.subcategory) {
-      section += `**Subcategory**: ${card.subcategory}\n`;
-    }
+  const describe = {
+    mask: (count, fields, cards) => `${count} match(es) masked in ${fields.join(', ')}${cards.length > 0 ? ` (${cards.length} card(s))` : ''}`,
+    drop: count => `${count} card(s) dropped`,
+    strip: count => `${count} video link(s) removed`
+  };
 
-    if (card.video_summary_url) {
-      const fileUrl = 'file://' + card.video_summary_url.replace(/ /g, '%20');
-      section += `**Video summary**: [View](${fileUrl})\n`;
+  let currentDay = null;
+  result.redactions.forEach(({ day, rule, action, count, fields, cards }) => {
+    if (day !== currentDay) {
+      console.log(`  ${day}`);
+      currentDay = day;
     }
-
-    return section;
+    console.log(`    • ${rule}: ${describe[action](count, fields, cards)}`);
   });
-
-  return `## Timeline\n\n${sections.join('\n---\n\n')}\n\n---\n\n`;
+  console.log('');
 }
 
-function generateJournalReflectionSection(journal) {
-  if (!journal) {
-    return '';
-  }
-
-  let section = '';
-
-  if (journal.reflections) {
-    section += `## Evening Reflection\n${journal.reflections}\n\n`;
-  }
-
-  if (journal.summary) {
-    section += `## AI Summary\n${journal.summary}\n\n`;
+/**
+ * Prints a library error with the troubleshooting hints that go with it.
+ */
+function reportError(error) {
+  if (error instanceof ConfigError) {
+    console.error(`\n❌ ${error.message}\n`);
+    console.error(`File: ${error.file}\n`);
+    error.details.forEach(detail => console.error(`  • ${detail}`));
+    console.error('');
+  } else if (error instanceof OptionsError) {
+    console.error(`\n❌ ${error.message}\n`);
+    error.details.forEach(detail => console.error(`  • ${detail}`));
+    if (error.option === 'from') {
+      console.error('\nDates use the YYYY-MM-DD format, e.g. --from 2025-12-01 --to 2025-12-31');
+    }
+    console.error('');
+  } else if (error instanceof PlatformError) {
+    console.error(`\n❌ ${error.message}\n`);
+    console.error('This sync tool requires:');
+    console.error('  • macOS operating system');
+    console.error('  • Dayflow app installed from https://dayflow.space');
+    console.error('  • Dayflow database at ~/Library/Application Support/Dayflow/\n');
+    console.error('On other systems, point --db at a copy of chunks.sqlite.\n');
+  } else if (error instanceof DatabaseError && error.code === 'DB_NOT_FOUND') {
+    console.error('\n❌ Dayflow database not found!\n');
+    console.error('Expected location:');
+    console.error(`  ${error.dbPath}\n`);
+    console.error('Possible solutions:');
+    console.error('  1. Install Dayflow from https://dayflow.space');
+    console.error('  2. Open Dayflow and let it record for a few minutes');
+    console.error('  3. Verify Dayflow is tracking your activity');
+    console.error('  4. Specify custom path with --db flag\n');
+    console.error('Example:');
+    console.error('  dayflow-sync --db ~/path/to/chunks.sqlite\n');
+  } else if (error instanceof DatabaseError && error.code === 'DB_SCHEMA_UNSUPPORTED') {
+    console.error('\n❌ Unsupported Dayflow database schema\n');
+    console.error(`Database: ${error.dbPath}\n`);
+    error.details.forEach(detail => console.error(`  • ${detail}`));
+    console.error('\nDayflow may have changed its database format. Please open an issue with');
+    console.error('your Dayflow version: https://github.com/zeroliu/dayflow-sync/issues\n');
+  } else if (error instanceof DatabaseError) {
+    console.error('\n❌ Failed to open Dayflow database\n');
+    console.error(`Error: ${error.cause?.message ?? error.message}\n`);
+    console.error('Possible causes:');
+    console.error('  • Database is corrupted');
+    console.error('  • Insufficient read permissions');
+    console.error('  • Database format has changed\n');
+  } else if (error instanceof TemplateError) {
+    console.error('\n❌ Failed to load note template\n');
+    console.error(`File: ${error.file}`);
+    console.error(`Error: ${error.cause?.message ?? error.message}\n`);
+  } else if (error instanceof WriteError && error.code === 'OUTPUT_LOCKED') {
+    console.error(`\n❌ ${error.message}\n`);
+    error.details.forEach(detail => console.error(`  • ${detail}`));
+    console.error('\nWait for it to finish and try again. A lock left by a crashed run is');
+    console.error(`replaced automatically; to clear it by hand, delete ${error.file} in:`);
+    console.error(`  ${error.directory}\n`);
+  } else if (error instanceof WriteError) {
+    console.error('\n❌ Failed to save note\n');
+    if (error.file) {
+      console.error(`File: ${error.file}`);
+    }
+    console.error(`Error: ${error.cause?.message ?? error.message}\n`);
+    console.error('Possible causes:');
+    console.error('  • Insufficient write permissions');
+    console.error('  • Disk space full');
+    console.error('  • Invalid output directory path\n');
+    console.error(`Directory: ${error.directory}\n`);
+  } else if (error instanceof DayflowSyncError) {
+    console.error(`\n❌ ${error.message}\n`);
+  } else {
+    console.error(`\n❌ Fatal error: ${error.message}`);
   }
+}
 
-  return section ? section + '---\n\n' : '';
+// ==================== Search ====================
+function truncate(text, length) {
+  const value = text ?? '';
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
 }
 
-function generateDistractionsSection(cards) {
-  const allDistractions = extractAllDistractions(cards);
+// Note paths are shown relative to the working directory when they're inside it
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
+}
 
-  if (allDistractions.length === 0) {
-    return '## Distractions Log\n*No distractions recorded today* ✨\n\n';
+function printSearchResults(result) {
+  const range = result.from ? ` from ${result.from} to ${result.to}` : '';
+  if (result.hits.length === 0) {
+    console.log(`No matches for "${result.query}"${range}`);
+    return;
   }
 
-  const items = allDistractions.map(d => {
-    let item = `- **${d.startTime} - ${d.endTime}**: ${d.title}\n`;
-    if (d.summary) {
-      item += `  - ${d.summary}\n`;
-    }
-    return item;
+  console.log(`${result.hits.length} match(es) for "${result.query}"${range}:\n`);
+  const rows = [
+    ['DAY', 'TIME', 'CATEGORY', 'TITLE', 'MATCHED', 'NOTE'],
+    ...result.hits.map(hit => [
+      hit.day,
+      hit.start ? `${hit.start} - ${hit.end}` : '',
+      truncate(hit.category, 16),
+      truncate(hit.title, 40),
+      hit.matches.join(', '),
+      hit.note ? displayPath(hit.note) : '-'
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  rows.forEach(row => {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
   });
-
-  return `## Distractions Log\n${items.join('\n')}\n\n`;
 }
 
-function generateAppUsageSection(cards) {
-  const appUsage = aggregateAppUsage(cards);
-
-  if (appUsage.length === 0) {
-    return '## App Usage Summary\n*No app usage recorded*\n';
-  }
-
-  const items = appUsage.map(({ app, sessions, totalMinutes }) => {
-    return `- ${app} (${sessions} sessions, ${totalMinutes} min)`;
+async function search({ query, options: searchOptions }) {
+  const list = value => value ? value.split(',').map(name => name.trim()).filter(Boolean) : undefined;
+  const result = await searchDayflow({
+    ...buildSyncOptions(),
+    // Search everything unless --days is given explicitly
+    days: program.getOptionValueSource('days') === 'cli' ? parseInt(options.days, 10) : undefined,
+    query,
+    categories: list(searchOptions.category),
+    apps: list(searchOptions.app),
+    // Keep stdout clean for --json; schema warnings still go to stderr
+    logger: { warn: console.warn, error: console.error }
   });
 
-  return `## App Usage Summary\n${items.join('\n')}\n`;
+  if (searchOptions.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printSearchResults(result);
+  }
 }
 
-function generateMarkdownNote(dayString, cards, journal, existingCreatedAt = null) {
-  const frontmatter = generateFrontmatter(dayString, cards, journal, existingCreatedAt);
-  const summary = generateDailySummary(cards, dayString);
-  const journalSection = generateJournalSection(journal);
-  const timeline = generateTimelineSection(cards);
-  const reflectionSection = generateJournalReflectionSection(journal);
-  const distractions = generateDistractionsSection(cards);
-  const appUsage = generateAppUsageSection(cards);
-
-  return frontmatter + '\n' + summary + journalSection + timeline + reflectionSection + distractions + appUsage;
-}
+// ==================== Stats ====================
+async function stats({ options: statsOptions }) {
+  const result = await statsDayflow({
+    ...buildSyncOptions(),
+    // Cover the default stats range unless --days is given explicitly
+    days: program.getOptionValueSource('days') === 'cli' ? parseInt(options.days, 10) : undefined,
+    focusCategories: statsOptions.focus.split(',').map(name => name.trim()).filter(Boolean),
+    save: [statsOptions.markdown && 'markdown', statsOptions.json && 'json'].filter(Boolean),
+    logger: { warn: console.warn, error: console.error }
+  });
 
-// ==================== File Operations ====================
-function generateFilename(dayString) {
-  return `Dayflow_${dayString}.md`;
+  console.log(formatStatsReport(result));
+  result.files.forEach(({ file, action }) => console.log(action === 'unchanged'
+    ? `⊘ Unchanged: ${displayPath(file)}`
+    : `✓ Saved: ${displayPath(file)}`));
 }
 
-async function findExistingNoteByDay(dayString, directory) {
-  const filename = generateFilename(dayString);
-  const filePath = path.join(directory, filename);
-
-  try {
-    await fs.access(filePath);
-    return filePath; // File exists
-  } catch {
-    return null; // File doesn't exist
-  }
+// ==================== Serve ====================
+/**
+ * Serves until SIGINT/SIGTERM.
+ */
+async function serve({ options: serveOptions }) {
+  const controller = new AbortController();
+  const stop = signal => {
+    console.log(`\nReceived ${signal}, stopping server...`);
+    controller.abort();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  await serveDayflow({
+    ...buildSyncOptions(),
+    // List the default serve range unless --days is given explicitly
+    days: program.getOptionValueSource('days') === 'cli' ? parseInt(options.days, 10) : undefined,
+    port: Number(serveOptions.port),
+    signal: controller.signal
+  });
 }
 
-// Read existing note's created_at from frontmatter (for preserving timestamps on updates)
-async function getExistingCreatedAt(dayString, directory) {
-  const filePath = path.join(directory, generateFilename(dayString));
-  try {
-    const content = await fs.readFile(filePath, 'utf8');
-    const match = content.match(/created_at:\s*['"]?([^'"\n]+)['"]?/);
-    if (match) return match[1].trim();
-  } catch {
-    // File doesn't exist or can't be read
-  }
-  return null;
+// ==================== Main Sync Function ====================
+/**
+ * Watches until SIGINT/SIGTERM, then lets the in-flight sync finish.
+ */
+async function watchUntilStopped(settings, initialResult) {
+  const controller = new AbortController();
+  const stop = signal => {
+    console.log(`\nReceived ${signal}, stopping watch mode...`);
+    controller.abort();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  await watchDayflow({
+    ...settings,
+    // A day that failed in the initial sync, or a --from/--to limited one,
+    // keeps the saved state where it was
+    incremental: settings.incremental && initialResult.errors.length === 0 && !settings.from,
+    watermark: initialResult.watermark,
+    signal: controller.signal
+  });
 }
 
-async function saveNote(filename, content, directory) {
-  try {
-    await fs.mkdir(directory, { recursive: true });
-    const filePath = path.join(directory, filename);
-    await fs.writeFile(filePath, content, 'utf8');
-    return filePath;
-  } catch (error) {
-    console.error('\n❌ Failed to save note\n');
-    console.error(`File: ${filename}`);
-    console.error(`Error: ${error.message}\n`);
-    console.error('Possible causes:');
-    console.error('  • Insufficient write permissions');
-    console.error('  • Disk space full');
-    console.error('  • Invalid output directory path\n');
-    console.error(`Directory: ${directory}\n`);
-    process.exit(1);
-  }
-}
+async function main() {
+  const settings = resolveSyncOptions(buildSyncOptions());
 
-// ==================== Main Sync Function ====================
-async function syncDayflowData() {
   console.log('┌─────────────────────────────────────────────┐');
   console.log('│  Dayflow Sync - Export to Markdown         │');
   console.log('└─────────────────────────────────────────────┘\n');
 
-  // Validate platform
-  validatePlatform();
+  printConfiguration(settings);
 
-  // Show configuration
-  console.log('Configuration:');
-  console.log(`  Database: ${DB_PATH}`);
-  console.log(`  Output: ${OUTPUT_DIR}`);
-  console.log(`  Days to sync: ${DAYS}`);
-  console.log(`  Force regenerate: ${FORCE ? 'Yes' : 'No'}\n`);
-
-  // Open database
-  console.log('Opening Dayflow database...');
-  const db = openDatabase();
-  console.log('✓ Database connected (read-only mode)\n');
-
-  // Calculate date range
-  const dates = calculateDateRange(DAYS);
-  console.log(`Syncing ${dates.length} days: ${dates[0]} to ${dates[dates.length - 1]}\n`);
-
-  // Ensure output directory exists
-  await fs.mkdir(OUTPUT_DIR, { recursive: true });
-
-  // Process each day
-  let savedCount = 0;
-  let updatedCount = 0;
-  let skippedCount = 0;
-
-  for (const dayString of dates) {
-    try {
-      console.log(`Processing ${dayString}...`);
-
-      const existingPath = await findExistingNoteByDay(dayString, OUTPUT_DIR);
-      const dayComplete = isDayComplete(dayString);
-
-      // Smart sync (default): skip complete days with existing notes
-      // Force mode: regenerate everything
-      if (!FORCE && existingPath && dayComplete) {
-        console.log(`  ⊘ Skipped (day complete, note exists)`);
-        skippedCount++;
-        continue;
-      }
-
-      // Fetch data
-      const allCards = fetchTimelineCardsForDay(db, dayString, INCLUDE_DELETED);
-
-      // Filter out failed processing cards (System category with "Processing failed" title)
-      const timelineCards = allCards.filter(card => {
-        const isFailed = card.category === 'System' &&
-                        (card.title?.includes('Processing failed') ||
-                         card.title?.includes('Error') ||
-                         card.subcategory === 'Error');
-        return !isFailed;
-      });
-
-      const filteredCount = allCards.length - timelineCards.length;
-      if (filteredCount > 0) {
-        console.log(`  ℹ Filtered out ${filteredCount} failed processing card(s)`);
-      }
-
-      const journalEntry = fetchJournalEntryForDay(db, dayString);
-
-      if (timelineCards.length === 0 && !journalEntry) {
-        console.log(`  ⊘ Skipped (no data for this day)`);
-        skippedCount++;
-        continue;
-      }
-
-      // Preserve created_at when updating existing notes (unless forcing)
-      const existingCreatedAt = (!FORCE && existingPath)
-        ? await getExistingCreatedAt(dayString, OUTPUT_DIR)
-        : null;
-
-      // Generate markdown
-      const markdown = generateMarkdownNote(dayString, timelineCards, journalEntry, existingCreatedAt);
-      const filename = generateFilename(dayString);
-
-      // Save note
-      await saveNote(filename, markdown, OUTPUT_DIR);
-
-      if (existingPath) {
-        console.log(`  ✓ Updated: ${filename} (${timelineCards.length} cards)`);
-        updatedCount++;
-      } else {
-        console.log(`  ✓ Created: ${filename} (${timelineCards.length} cards)`);
-        savedCount++;
-      }
-
-    } catch (error) {
-      console.error(`  ✗ Error: ${error.message}`);
-      skippedCount++;
-    }
+  if (WATCH && settings.dryRun) {
+    throw new OptionsError('--dry-run cannot be combined with --watch', {
+      option: 'dryRun',
+      details: ['Preview a single sync with --dry-run, then start --watch without it']
+    });
   }
 
-  // Close database
-  db.close();
+  const result = await syncDayflow(settings);
+  if (settings.dryRun) {
+    printDryRunSummary(result);
+  } else {
+    printSummary(result);
+  }
+  if (options.redactReport) {
+    printRedactionReport(settings, result);
+  }
 
-  // Summary
-  console.log('\n┌─────────────────────────────────────────────┐');
-  console.log('│  Sync Complete!                             │');
-  console.log('└─────────────────────────────────────────────┘');
-  console.log(`  New notes: ${savedCount}`);
-  console.log(`  Updated notes: ${updatedCount}`);
-  console.log(`  Skipped: ${skippedCount}`);
-  console.log(`  Total days: ${dates.length}`);
-  console.log(`\n  Output directory: ${OUTPUT_DIR}\n`);
+  if (WATCH) {
+    await watchUntilStopped(settings, result);
+  }
+
+  // Lets scripts gate on a dry run: 0 = up to date, 2 = changes pending, 1 = error
+  if (settings.dryRun && result.changes.length > 0) {
+    process.exitCode = 2;
+  }
 }
 
 // ==================== Main Execution ====================
+if (options.printTemplate) {
+  process.stdout.write(DEFAULT_TEMPLATE);
+  process.exit(0);
+}
+
 try {
-  await syncDayflowData();
+  if (command?.name === 'search') {
+    await search(command);
+  } else if (command?.name === 'stats') {
+    await stats(command);
+  } else if (command?.name === 'serve') {
+    await serve(command);
+  } else {
+    await main();
+  }
 } catch (error) {
-  console.error(`\n❌ Fatal error: ${error.message}`);
+  reportError(error);
   process.exit(1);
 }
@@ -0,0 +1,5344 @@
+
+/**
+ * Dayflow Sync library - the sync engine behind the dayflow-sync CLI
+ *
+ *   import { syncDayflow } from 'dayflow-sync';
+ *   const result = await syncDayflow({ outputDir: '~/Notes/Dayflow', days: 7 });
+ *
+ * Nothing here prints or exits: progress goes to the optional `logger`,
+ * failures are thrown as DayflowSyncError subclasses.
+ *
+ * PRIVACY & SECURITY:
+ * - Opens Dayflow's SQLite database in READ-ONLY mode
+ * - NO outbound network calls - NO data uploads - NO tracking
+ * - The serve server binds only to 127.0.0.1
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import os from 'os';
+import http from 'http';
+import yaml from 'js-yaml';
+import {
+  format, parseISO,
+  getISOWeek, getISOWeekYear, startOfISOWeek, endOfISOWeek,
+  startOfMonth, endOfMonth, eachDayOfInterval, isValid
+} from 'date-fns';
+
+// ==================== Configuration ====================
+const CONFIG = {
+  // Default Dayflow database location (macOS only)
+  dayflowDbPath: path.join(
+    os.homedir(),
+    'Library/Application Support/Dayflow/chunks.sqlite'
+  ),
+  // Default output directory (current working directory)
+  defaultOutputDir: './dayflow-notes',
+  // Config file with defaults and named profiles
+  configPath: path.join(
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'),
+    'dayflow-sync/config.yaml'
+  ),
+  // Note filename; {date} is the day (2025-12-20) or rollup period (2025-W51)
+  defaultFilenamePattern: 'Dayflow_{date}.md',
+  // Incremental sync bookkeeping, stored alongside the notes
+  stateFilename: '.dayflow-sync-state.json',
+  // Held in the output directory while a run writes there. It is refreshed
+  // while held; one left untouched this long (or whose process has exited)
+  // is stale and gets replaced
+  lockFilename: '.dayflow-sync.lock',
+  lockHeartbeatMs: 30 * 1000,
+  lockStaleMs: 10 * 60 * 1000,
+  // Watch mode: how often to poll the database files, and how long to wait
+  // for a burst of writes to settle before syncing
+  watchIntervalMs: 1000,
+  defaultDebounceMs: 2000,
+  // Folder (inside the output directory) for app/category index pages
+  defaultIndexFolder: 'Dayflow Index',
+  // Folder (inside the output directory) for copied video summaries, and the
+  // largest video copied there; bigger ones stay as file:// links
+  defaultAttachmentsFolder: 'Dayflow Attachments',
+  defaultMaxVideoSizeMb: 200,
+  // Hour Dayflow itself starts a day at; its `day` column uses this boundary
+  dayflowDayStartHour: 4,
+  // Shorter stretches between cards aren't reported as untracked time
+  defaultGapThresholdMinutes: 15,
+  // Days the stats command covers without --from or --days
+  defaultStatsDays: 28,
+  // Local timeline browser (serve command): port, and the days its day
+  // picker lists without from/to
+  defaultServePort: 4777,
+  defaultServeDays: 30,
+};
+
+// Output formats and the file extension each one is written with
+const OUTPUT_FORMATS = {
+  markdown: 'md',
+  json: 'json',
+  csv: 'csv',
+  ics: 'ics'
+};
+
+// Note flavours for the markdown format
+const TARGETS = ['obsidian', 'logseq'];
+
+// How copied videos are embedded: Obsidian ![[...]] or a relative ![](...) link
+const VIDEO_EMBEDS = ['wikilink', 'markdown'];
+
+// Daily note sections that can be switched on and off from the config file
+const NOTE_SECTIONS = [
+  'summary', 'journal', 'timeline', 'reflection', 'distractions', 'appUsage',
+  'timelineChart', 'categoryChart', 'changes'
+];
+
+// Sections left out unless enabled
+const OPT_IN_SECTIONS = ['timelineChart', 'categoryChart', 'changes'];
+
+// ==================== Errors ====================
+/**
+ * Base class for every error the library throws. `code` is stable and meant
+ * for programmatic checks; `details` lists individual problems when there is
+ * more than one (e.g. every invalid setting in a config file).
+ */
+class DayflowSyncError extends Error {
+  constructor(message, { code, details = [], cause, ...info } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+    Object.assign(this, info);
+  }
+}
+
+// Invalid sync options: unknown format or target, bad date range; `option` names the culprit
+class OptionsError extends DayflowSyncError {
+  constructor(message, info = {}) {
+    super(message, { code: 'INVALID_OPTIONS', ...info });
+  }
+}
+
+// Config file missing, unparseable or failing validation; `file` is its path
+class ConfigError extends DayflowSyncError {
+  constructor(message, info = {}) {
+    super(message, { code: 'INVALID_CONFIG', ...info });
+  }
+}
+
+// The default database location only exists on macOS
+class PlatformError extends DayflowSyncError {
+  constructor(message, info = {}) {
+    super(message, { code: 'UNSUPPORTED_PLATFORM', ...info });
+  }
+}
+
+// code is DB_NOT_FOUND or DB_OPEN_FAILED; `dbPath` is the database path
+class DatabaseError extends DayflowSyncError {}
+
+// Note template unreadable or malformed; `file` is its path
+class TemplateError extends DayflowSyncError {
+  constructor(message, info = {}) {
+    super(message, { code: 'INVALID_TEMPLATE', ...info });
+  }
+}
+
+// A note couldn't be written; `file` and `directory` say where. code is
+// WRITE_FAILED, or OUTPUT_LOCKED when another run holds the output
+// directory's lock (`lock` has its { pid, hostname, startedAt })
+class WriteError extends DayflowSyncError {
+  constructor(message, info = {}) {
+    super(message, { code: 'WRITE_FAILED', ...info });
+  }
+}
+
+// Default logger: the library stays quiet unless a caller passes one
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+// ==================== Platform Validation ====================
+/**
+ * Dayflow only runs on macOS, so its default database location only exists
+ * there. An explicit dbPath (e.g. a copied chunks.sqlite) works anywhere.
+ */
+function validatePlatform(dbPath) {
+  if (dbPath === CONFIG.dayflowDbPath && process.platform !== 'darwin') {
+    throw new PlatformError('Dayflow is a macOS-only application', { dbPath });
+  }
+}
+
+// ==================== Config File ====================
+/**
+ * Validators for every setting a config file may contain, keyed by the
+ * matching CLI option name. Each returns an error message or null.
+ */
+// Device labels end up in card ids, attachment filenames and note headers
+const DEVICE_LABEL_PATTERN = /^[\w-]+$/;
+
+const CONFIG_SETTINGS = {
+  output: value => typeof value === 'string' && value ? null : 'expected a directory path',
+  db: value => typeof value === 'string' && value ? null : 'expected a file path',
+  databases: value => Array.isArray(value) && value.length > 0 && value.every(entry =>
+    entry && typeof entry.path === 'string' && entry.path &&
+    typeof entry.device === 'string' && DEVICE_LABEL_PATTERN.test(entry.device))
+    ? null
+    : 'expected a list of { device, path } entries; device labels use letters, digits, _ and -',
+  days: value => Number.isInteger(value) && value >= 1 && value <= 365
+    ? null
+    : 'expected a whole number between 1 and 365',
+  includeDeleted: value => typeof value === 'boolean' || value === 0 || value === 1
+    ? null
+    : 'expected true or false',
+  rollups: value => typeof value === 'boolean' ? null : 'expected true or false',
+  incremental: value => typeof value === 'boolean' ? null : 'expected true or false',
+  wikilinks: value => typeof value === 'boolean' ? null : 'expected true or false',
+  indexFolder: value => isFolderInsideOutput(value) ? null : 'expected a folder name inside the output directory',
+  attachVideos: value => typeof value === 'boolean' ? null : 'expected true or false',
+  attachmentsFolder: value => isFolderInsideOutput(value) ? null : 'expected a folder name inside the output directory',
+  maxVideoSize: value => typeof value === 'number' && value > 0 ? null : 'expected a size in megabytes',
+  videoEmbed: value => VIDEO_EMBEDS.includes(value) ? null : `expected one of: ${VIDEO_EMBEDS.join(', ')}`,
+  dayStartHour: value => Number.isInteger(value) && value >= 0 && value <= 23
+    ? null
+    : 'expected an hour from 0 to 23',
+  gapThreshold: value => Number.isInteger(value) && value >= 0
+    ? null
+    : 'expected a whole number of minutes',
+  timezone: value => typeof value === 'string' && isValidTimezone(value)
+    ? null
+    : 'expected an IANA timezone such as Europe/Berlin',
+  target: value => TARGETS.includes(value) ? null : `expected one of: ${TARGETS.join(', ')}`,
+  formats: value => Array.isArray(value) && value.length > 0 && value.every(f => f in OUTPUT_FORMATS)
+    ? null
+    : `expected a list of output formats (${Object.keys(OUTPUT_FORMATS).join(', ')})`,
+  template: value => typeof value === 'string' && value ? null : 'expected a file path',
+  rules: value => typeof value === 'string' && value ? null : 'expected a file path',
+  filenamePattern: value => {
+    if (typeof value !== 'string' || !value.includes('{date}')) {
+      return 'expected a filename containing {date}, e.g. "Dayflow_{date}.md"';
+    }
+    if (/[/\\]/.test(value) || !value.endsWith('.md')) {
+      return 'expected a plain .md filename without directories';
+    }
+    return null;
+  },
+  sections: value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `expected a map of section names (${NOTE_SECTIONS.join(', ')}) to true/false`;
+    }
+    const invalid = Object.entries(value)
+      .filter(([name, enabled]) => !NOTE_SECTIONS.includes(name) || typeof enabled !== 'boolean')
+      .map(([name]) => name);
+    return invalid.length > 0
+      ? `unknown section or non-boolean value: ${invalid.join(', ')} (sections: ${NOTE_SECTIONS.join(', ')})`
+      : null;
+  }
+};
+
+function isFolderInsideOutput(value) {
+  return typeof value === 'string' && !!value && !path.isAbsolute(value) && !value.split(/[/\\]/).includes('..');
+}
+
+function expandHomeDir(filePath) {
+  return filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(2)) : filePath;
+}
+
+function validateSettings(settings, location) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [`${location}: expected a map of settings`];
+  }
+
+  return Object.entries(settings).flatMap(([key, value]) => {
+    const validate = CONFIG_SETTINGS[key];
+    if (!validate) {
+      return [`${location}.${key}: unknown setting (allowed: ${Object.keys(CONFIG_SETTINGS).join(', ')})`];
+    }
+    const message = validate(value);
+    return message ? [`${location}.${key}: ${message}`] : [];
+  });
+}
+
+/**
+ * Checks the overall shape of a parsed config file:
+ *
+ *   defaults: { ...settings }
+ *   profiles:
+ *     obsidian-work: { ...settings }
+ *
+ * @returns {string[]} Human-readable validation errors (empty when valid)
+ */
+function validateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['expected a YAML map with "defaults" and/or "profiles"'];
+  }
+
+  const errors = Object.keys(config)
+    .filter(key => key !== 'defaults' && key !== 'profiles')
+    .map(key => `${key}: unknown top-level key (allowed: defaults, profiles)`);
+
+  if (config.defaults !== undefined) {
+    errors.push(...validateSettings(config.defaults, 'defaults'));
+  }
+
+  if (config.profiles !== undefined) {
+    if (!config.profiles || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+      errors.push('profiles: expected a map of profile names to settings');
+    } else {
+      Object.entries(config.profiles).forEach(([name, settings]) => {
+        errors.push(...validateSettings(settings, `profiles.${name}`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+function invalidConfig(configPath, errors) {
+  return new ConfigError('Invalid config file', { file: configPath, details: errors });
+}
+
+/**
+ * Loads the config file and returns the settings for the selected profile,
+ * layered on top of the file's defaults. A missing file is only an error
+ * when it was asked for explicitly (--config or --profile).
+ *
+ * @throws {ConfigError} Listing every problem found in the file
+ */
+function loadConfigSettings(configPath, profileName, required) {
+  if (!fsSync.existsSync(configPath)) {
+    if (required) {
+      throw invalidConfig(configPath, ['file not found']);
+    }
+    return {};
+  }
+
+  let config;
+  try {
+    config = yaml.load(fsSync.readFileSync(configPath, 'utf8')) ?? {};
+  } catch (error) {
+    throw invalidConfig(configPath, [error.message]);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw invalidConfig(configPath, errors);
+  }
+
+  const profiles = config.profiles || {};
+  if (profileName && !profiles[profileName]) {
+    const available = Object.keys(profiles);
+    throw invalidConfig(configPath, [
+      `profile "${profileName}" not found (available: ${available.length > 0 ? available.join(', ') : 'none'})`
+    ]);
+  }
+
+  const defaults = config.defaults || {};
+  const profile = profileName ? profiles[profileName] : {};
+  return {
+    ...defaults,
+    ...profile,
+    sections: { ...defaults.sections, ...profile.sections }
+  };
+}
+
+/**
+ * Accepts a comma-separated string (--format markdown,json) or an array.
+ */
+function parseFormatsOption(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const formats = [...new Set(list.map(f => String(f).trim().toLowerCase()).filter(Boolean))];
+  const unknown = formats.filter(f => !(f in OUTPUT_FORMATS));
+
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new OptionsError(`Unknown output format: ${unknown.join(', ') || '(none)'}`, {
+      option: 'formats',
+      details: [`Supported formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`]
+    });
+  }
+
+  return formats;
+}
+
+// ==================== Card Rules ====================
+/**
+ * A rules file renames categories and assigns, drops or keeps cards:
+ *
+ *   categories:            # renamed first, so rules see the new names
+ *     Coding: Work
+ *   rules:                 # checked in order; every condition must match
+ *     - app: Figma         # primary or secondary app (name or list)
+ *       title: "review"    # regular expression, case-insensitive
+ *       set: { category: Design, subcategory: Reviews }
+ *     - summary: youtube   # matches summary or detailed_summary
+ *       drop: true
+ *
+ * `set` applies and carries on to later rules; the first matching `drop` or
+ * `keep` decides the card. Cards no rule decides on are dropped when they are
+ * failed processing batches, as before.
+ */
+const RULE_CONDITIONS = ['app', 'category', 'subcategory', 'title', 'summary'];
+const RULE_ACTIONS = ['set', 'drop', 'keep'];
+const RULE_SET_FIELDS = ['category', 'subcategory'];
+
+// Rules already run through compileRules, so resolveSyncOptions can pass them on
+const compiledRules = new WeakSet();
+
+function validateNameList(value) {
+  const names = Array.isArray(value) ? value : [value];
+  return names.length > 0 && names.every(name => typeof name === 'string' && name)
+    ? null
+    : 'expected a name or a list of names';
+}
+
+function validatePattern(value) {
+  if (typeof value !== 'string' || !value) {
+    return 'expected a regular expression';
+  }
+  try {
+    new RegExp(value, 'i');
+    return null;
+  } catch (error) {
+    return `invalid regular expression: ${error.message}`;
+  }
+}
+
+function validateRule(rule, location) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${location}: expected a map of conditions and an action`];
+  }
+
+  const errors = Object.keys(rule)
+    .filter(key => !RULE_CONDITIONS.includes(key) && !RULE_ACTIONS.includes(key))
+    .map(key => `${location}.${key}: unknown key (conditions: ${RULE_CONDITIONS.join(', ')}; actions: ${RULE_ACTIONS.join(', ')})`);
+
+  const conditions = RULE_CONDITIONS.filter(key => rule[key] !== undefined);
+  if (conditions.length === 0) {
+    errors.push(`${location}: needs at least one condition (${RULE_CONDITIONS.join(', ')})`);
+  }
+  conditions.forEach(key => {
+    const message = key === 'title' || key === 'summary' ? validatePattern(rule[key]) : validateNameList(rule[key]);
+    if (message) {
+      errors.push(`${location}.${key}: ${message}`);
+    }
+  });
+
+  const actions = RULE_ACTIONS.filter(key => rule[key] !== undefined);
+  if (actions.length === 0) {
+    errors.push(`${location}: needs an action (${RULE_ACTIONS.join(', ')})`);
+  }
+  if (rule.drop !== undefined && rule.keep !== undefined) {
+    errors.push(`${location}: use either drop or keep, not both`);
+  }
+  ['drop', 'keep'].filter(key => rule[key] !== undefined && rule[key] !== true).forEach(key => {
+    errors.push(`${location}.${key}: expected true`);
+  });
+  if (rule.set !== undefined) {
+    if (!rule.set || typeof rule.set !== 'object' || Array.isArray(rule.set) || Object.keys(rule.set).length === 0) {
+      errors.push(`${location}.set: expected a map with ${RULE_SET_FIELDS.join(' and/or ')}`);
+    } else {
+      Object.entries(rule.set)
+        .filter(([field, value]) => !RULE_SET_FIELDS.includes(field) || typeof value !== 'string' || !value)
+        .forEach(([field]) => errors.push(`${location}.set.${field}: expected ${RULE_SET_FIELDS.join(' or ')} with a name`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * @returns {string[]} Human-readable validation errors (empty when valid)
+ */
+function validateRules(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['expected a YAML map with "categories", "rules" and/or "redact"'];
+  }
+
+  const errors = Object.keys(config)
+    .filter(key => !['categories', 'rules', 'redact'].includes(key))
+    .map(key => `${key}: unknown top-level key (allowed: categories, rules, redact)`);
+
+  if (config.categories !== undefined) {
+    if (!config.categories || typeof config.categories !== 'object' || Array.isArray(config.categories)) {
+      errors.push('categories: expected a map of Dayflow category names to new names');
+    } else {
+      Object.entries(config.categories)
+        .filter(([, name]) => typeof name !== 'string' || !name)
+        .forEach(([from]) => errors.push(`categories.${from}: expected a category name`));
+    }
+  }
+
+  if (config.rules !== undefined) {
+    if (!Array.isArray(config.rules)) {
+      errors.push('rules: expected a list of rules');
+    } else {
+      config.rules.forEach((rule, index) => errors.push(...validateRule(rule, `rules[${index}]`)));
+    }
+  }
+
+  if (config.redact !== undefined) {
+    errors.push(...validateRedaction(config.redact));
+  }
+
+  return errors;
+}
+
+function compileRules(config, file = null) {
+  const lowerCaseSet = value => new Set((Array.isArray(value) ? value : [value]).map(name => name.toLowerCase()));
+  const rules = {
+    file,
+    categories: new Map(Object.entries(config?.categories || {})),
+    rules: (config?.rules || []).map(rule => ({
+      app: rule.app !== undefined ? lowerCaseSet(rule.app) : null,
+      category: rule.category !== undefined ? lowerCaseSet(rule.category) : null,
+      subcategory: rule.subcategory !== undefined ? lowerCaseSet(rule.subcategory) : null,
+      title: rule.title !== undefined ? new RegExp(rule.title, 'i') : null,
+      summary: rule.summary !== undefined ? new RegExp(rule.summary, 'i') : null,
+      set: rule.set || null,
+      decision: rule.drop ? 'drop' : rule.keep ? 'keep' : null
+    })),
+    redact: compileRedaction(config?.redact)
+  };
+  compiledRules.add(rules);
+  return rules;
+}
+
+/**
+ * Reads and compiles a rules file.
+ *
+ * @throws {ConfigError} Listing every problem found in the file
+ */
+function loadRulesFile(rulesPath) {
+  if (!fsSync.existsSync(rulesPath)) {
+    throw new ConfigError('Invalid rules file', { file: rulesPath, details: ['file not found'] });
+  }
+
+  let config;
+  try {
+    config = yaml.load(fsSync.readFileSync(rulesPath, 'utf8')) ?? {};
+  } catch (error) {
+    throw new ConfigError('Invalid rules file', { file: rulesPath, details: [error.message] });
+  }
+
+  const errors = validateRules(config);
+  if (errors.length > 0) {
+    throw new ConfigError('Invalid rules file', { file: rulesPath, details: errors });
+  }
+
+  return compileRules(config, rulesPath);
+}
+
+/**
+ * Accepts a rules file path, an inline { categories, rules } object, or rules
+ * compiled by an earlier call.
+ */
+function resolveRules(value) {
+  if (compiledRules.has(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && value) {
+    return loadRulesFile(path.resolve(expandHomeDir(value)));
+  }
+
+  const errors = value ? validateRules(value) : [];
+  if (errors.length > 0) {
+    throw new OptionsError('Invalid rules', { option: 'rules', details: errors });
+  }
+  return compileRules(value);
+}
+
+// Dayflow records batches it failed to process as System cards with an error title
+function isFailedCard(card) {
+  return card.category === 'System' &&
+         (card.title?.includes('Processing failed') ||
+          card.title?.includes('Error') ||
+          card.subcategory === 'Error');
+}
+
+function matchesRule(rule, card) {
+  const { appSites } = parseMetadata(card.metadata);
+  const apps = [appSites.primary, appSites.secondary].filter(Boolean).map(app => app.toLowerCase());
+  const isIn = (names, value) => !!value && names.has(value.toLowerCase());
+
+  return (!rule.app || apps.some(app => rule.app.has(app))) &&
+         (!rule.category || isIn(rule.category, card.category)) &&
+         (!rule.subcategory || isIn(rule.subcategory, card.subcategory)) &&
+         (!rule.title || rule.title.test(card.title || '')) &&
+         (!rule.summary || rule.summary.test(card.summary || '') || rule.summary.test(card.detailed_summary || ''));
+}
+
+/**
+ * Renames categories, applies `set` rules and drops cards.
+ *
+ * @returns {{ cards: Object[], failed: number, dropped: number }} Kept cards,
+ *   plus how many were dropped as failed batches and by rules
+ */
+function applyCardRules(cards, rules) {
+  const result = { cards: [], failed: 0, dropped: 0 };
+
+  cards.forEach(original => {
+    const card = { ...original, category: rules.categories.get(original.category) ?? original.category };
+    let decision = null;
+
+    for (const rule of rules.rules) {
+      if (!matchesRule(rule, card)) {
+        continue;
+      }
+      Object.assign(card, rule.set);
+      if (rule.decision) {
+        decision = rule.decision;
+        break;
+      }
+    }
+
+    if (decision === 'drop') {
+      result.dropped++;
+    } else if (!decision && isFailedCard(original)) {
+      result.failed++;
+    } else {
+      result.cards.push(card);
+    }
+  });
+
+  return result;
+}
+
+// ==================== Redaction ====================
+/**
+ * The rules file's `redact` section masks private details before any output
+ * is generated:
+ *
+ *   redact:
+ *     keywords: [Acme, "Project Falcon"]   # masked wherever they appear
+ *     patterns: ["\\b\\S+@\\S+\\b"]        # regular expressions, case-insensitive
+ *     apps: [Messages, reddit.com]         # replaced in appSites and in text
+ *     categories: [Personal]               # cards dropped entirely
+ *     videoLinks: false                    # strip video_summary_url
+ *     placeholder: REDACTED
+ *
+ * It runs after the card rules, so `categories` matches renamed categories.
+ */
+const REDACT_SETTINGS = {
+  keywords: validateNameList,
+  patterns: value => {
+    const patterns = Array.isArray(value) ? value : [value];
+    return patterns.map(validatePattern).find(Boolean) ?? null;
+  },
+  apps: validateNameList,
+  categories: validateNameList,
+  videoLinks: value => typeof value === 'boolean' ? null : 'expected true or false',
+  placeholder: value => typeof value === 'string' && value ? null : 'expected the replacement text'
+};
+
+const DEFAULT_REDACTION_PLACEHOLDER = 'REDACTED';
+const REDACTED_CARD_FIELDS = ['title', 'summary', 'detailed_summary'];
+const JOURNAL_TEXT_FIELDS = ['intentions', 'notes', 'goals', 'reflections', 'summary'];
+
+function validateRedaction(redact) {
+  if (!redact || typeof redact !== 'object' || Array.isArray(redact)) {
+    return [`redact: expected a map of redaction settings (${Object.keys(REDACT_SETTINGS).join(', ')})`];
+  }
+
+  return Object.entries(redact).flatMap(([key, value]) => {
+    const validate = REDACT_SETTINGS[key];
+    if (!validate) {
+      return [`redact.${key}: unknown setting (allowed: ${Object.keys(REDACT_SETTINGS).join(', ')})`];
+    }
+    const message = validate(value);
+    return message ? [`redact.${key}: ${message}`] : [];
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileRedaction(redact) {
+  if (!redact) {
+    return null;
+  }
+
+  const list = value => value === undefined ? [] : Array.isArray(value) ? value : [value];
+  const apps = list(redact.apps);
+
+  return {
+    placeholder: redact.placeholder ?? DEFAULT_REDACTION_PLACEHOLDER,
+    terms: [
+      ...list(redact.keywords).map(keyword => ({ rule: `keyword "${keyword}"`, pattern: new RegExp(escapeRegExp(keyword), 'gi') })),
+      ...list(redact.patterns).map(pattern => ({ rule: `pattern /${pattern}/`, pattern: new RegExp(pattern, 'gi') })),
+      ...apps.map(app => ({ rule: `app "${app}"`, pattern: new RegExp(escapeRegExp(app), 'gi') }))
+    ],
+    apps: apps.map(app => ({ rule: `app "${app}"`, name: app.toLowerCase() })),
+    categories: new Set(list(redact.categories).map(category => category.toLowerCase())),
+    stripVideoLinks: redact.videoLinks === false
+  };
+}
+
+/**
+ * Masks every term in `text`, noting each match in `log` as { rule, action, field, card }.
+ */
+function redactText(text, redaction, field, card, log) {
+  if (typeof text !== 'string' || !text) {
+    return text;
+  }
+
+  return redaction.terms.reduce((masked, term) => masked.replace(term.pattern, () => {
+    log.push({ rule: term.rule, action: 'mask', field, card });
+    return redaction.placeholder;
+  }), text);
+}
+
+// A listed site also matches its subdomains (reddit.com covers old.reddit.com)
+function findRedactedApp(app, redaction) {
+  const name = app.toLowerCase();
+  return redaction.apps.find(entry => name === entry.name || name.endsWith(`.${entry.name}`));
+}
+
+/**
+ * @returns {Object|null} The redacted card, or null when its category is redacted
+ */
+function redactCard(card, redaction, log) {
+  if (card.category && redaction.categories.has(card.category.toLowerCase())) {
+    log.push({ rule: `category "${card.category}"`, action: 'drop', field: 'card', card: card.id });
+    return null;
+  }
+
+  const redacted = { ...card };
+  REDACTED_CARD_FIELDS.forEach(field => {
+    redacted[field] = redactText(card[field], redaction, field, card.id, log);
+  });
+
+  if (card.metadata) {
+    const { appSites, distractions } = parseMetadata(card.metadata);
+    const redactApp = app => {
+      const entry = findRedactedApp(app, redaction);
+      if (entry) {
+        log.push({ rule: entry.rule, action: 'mask', field: 'appSites', card: card.id });
+        return redaction.placeholder;
+      }
+      return redactText(app, redaction, 'appSites', card.id, log);
+    };
+
+    // Only the fields notes use are kept, so nothing unredacted rides along
+    redacted.metadata = JSON.stringify({
+      appSites: Object.fromEntries(Object.entries(appSites).map(([slot, app]) => [slot, redactApp(app)])),
+      distractions: distractions.map(d => ({
+        startTime: d.startTime,
+        endTime: d.endTime,
+        title: redactText(d.title, redaction, 'distractions', card.id, log),
+        summary: redactText(d.summary, redaction, 'distractions', card.id, log)
+      }))
+    });
+  }
+
+  if (redaction.stripVideoLinks && card.video_summary_url) {
+    log.push({ rule: 'video links', action: 'strip', field: 'video_summary_url', card: card.id });
+    redacted.video_summary_url = null;
+  }
+
+  return redacted;
+}
+
+function redactJournal(journal, redaction, log) {
+  if (!journal) {
+    return journal;
+  }
+
+  const redacted = { ...journal };
+  JOURNAL_TEXT_FIELDS.forEach(field => {
+    redacted[field] = redactText(journal[field], redaction, `journal.${field}`, null, log);
+  });
+  return redacted;
+}
+
+/**
+ * Groups a redaction log into one entry per rule. Only rule names, field
+ * names and card ids are reported, never the redacted text.
+ *
+ * @returns {Array<{ rule: string, action: 'mask'|'drop'|'strip', count: number, fields: string[], cards: number[] }>}
+ */
+function summarizeRedactions(log) {
+  const byRule = new Map();
+
+  log.forEach(({ rule, action, field, card }) => {
+    const entry = byRule.get(rule) || { rule, action, count: 0, fields: new Set(), cards: new Set() };
+    entry.count++;
+    entry.fields.add(field);
+    if (card !== null && card !== undefined) {
+      entry.cards.add(card);
+    }
+    byRule.set(rule, entry);
+  });
+
+  return [...byRule.values()].map(entry => ({
+    ...entry,
+    fields: [...entry.fields],
+    cards: [...entry.cards]
+  }));
+}
+
+// ==================== Database Functions ====================
+/**
+ * Columns the sync understands, per table. Queries are built from whichever
+ * of them the database actually has, so a Dayflow release that drops an
+ * optional column degrades to empty fields instead of failing. Only the
+ * required columns are needed to place a card on the timeline; `filters` are
+ * used in WHERE clauses but never selected.
+ */
+const DB_SCHEMA = {
+  timeline_cards: {
+    columns: [
+      'id', 'batch_id', 'start', 'end', 'start_ts', 'end_ts', 'day',
+      'title', 'summary', 'detailed_summary', 'category', 'subcategory',
+      'metadata', 'video_summary_url', 'created_at'
+    ],
+    required: ['id', 'day', 'start_ts', 'end_ts'],
+    filters: ['is_deleted']
+  },
+  journal_entries: {
+    columns: [
+      'id', 'day', 'intentions', 'notes', 'goals', 'reflections',
+      'summary', 'status', 'created_at', 'updated_at'
+    ],
+    required: ['day'],
+    filters: []
+  }
+};
+
+// Tables whose absence is tolerated (older Dayflow versions have no journal)
+const OPTIONAL_TABLES = ['journal_entries'];
+
+// Schema of every open database, filled in by openDatabase
+const databaseSchemas = new WeakMap();
+
+/**
+ * Reads each known table's columns with PRAGMA table_info.
+ * @returns {Object<string, Set<string>|null>} Column names per table, null when the table is missing
+ */
+function inspectSchema(db) {
+  return Object.fromEntries(Object.keys(DB_SCHEMA).map(table => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    return [table, columns.length > 0 ? new Set(columns) : null];
+  }));
+}
+
+/**
+ * Compares an inspected schema with DB_SCHEMA.
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function checkSchema(schema) {
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(DB_SCHEMA).forEach(([table, { columns: known, required, filters }]) => {
+    const columns = schema[table];
+    if (!columns) {
+      if (OPTIONAL_TABLES.includes(table)) {
+        warnings.push(`No ${table} table; notes will have no journal sections`);
+      } else {
+        errors.push(`Table "${table}" is missing`);
+      }
+      return;
+    }
+
+    required
+      .filter(column => !columns.has(column))
+      .forEach(column => errors.push(`Table "${table}" is missing required column "${column}"`));
+
+    const missing = [...known, ...filters].filter(column => !required.includes(column) && !columns.has(column));
+    if (missing.length > 0) {
+      warnings.push(`${table} has no ${missing.join(', ')} column(s); those fields will be empty`);
+    }
+
+    const unknown = [...columns].filter(column => !known.includes(column) && !filters.includes(column));
+    if (unknown.length > 0) {
+      warnings.push(`${table} has column(s) this version doesn't use: ${unknown.join(', ')}`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+function getSchema(db) {
+  if (!databaseSchemas.has(db)) {
+    databaseSchemas.set(db, inspectSchema(db));
+  }
+  return databaseSchemas.get(db);
+}
+
+/**
+ * SELECT list for a table: present columns by name, missing ones as NULL so
+ * rows always have the same shape.
+ */
+function selectColumns(db, table) {
+  const columns = getSchema(db)[table];
+  return DB_SCHEMA[table].columns
+    .map(column => columns.has(column) ? `"${column}"` : `NULL AS "${column}"`)
+    .join(', ');
+}
+
+function hasColumn(db, table, column) {
+  return !!getSchema(db)[table]?.has(column);
+}
+
+/**
+ * Opens the Dayflow database in READ-ONLY mode for privacy and safety.
+ * This ensures the tool cannot modify your Dayflow data.
+ *
+ * The schema is checked up front: unfamiliar or missing optional columns are
+ * reported through the logger, a missing required column throws.
+ */
+function openDatabase(dbPath, logger = SILENT_LOGGER) {
+  if (!fsSync.existsSync(dbPath)) {
+    throw new DatabaseError('Dayflow database not found', { code: 'DB_NOT_FOUND', dbPath });
+  }
+
+  let db;
+  let schema;
+  try {
+    // PRIVACY: Open database in READ-ONLY mode - cannot modify Dayflow data
+    db = new Database(dbPath, { readonly: true });
+    schema = inspectSchema(db);
+  } catch (error) {
+    db?.close();
+    throw new DatabaseError(`Failed to open Dayflow database: ${error.message}`, {
+      code: 'DB_OPEN_FAILED',
+      dbPath,
+      cause: error
+    });
+  }
+
+  const { errors, warnings } = checkSchema(schema);
+  if (errors.length > 0) {
+    db.close();
+    throw new DatabaseError(`Unsupported Dayflow database schema: ${errors.join('; ')}`, {
+      code: 'DB_SCHEMA_UNSUPPORTED',
+      dbPath,
+      details: errors
+    });
+  }
+
+  warnings.forEach(warning => logger.warn(`  ⚠ ${warning}`));
+  databaseSchemas.set(db, schema);
+  return db;
+}
+
+/**
+ * Opens every database in settings.databases (see openDatabase). The fetch
+ * functions below take the returned set and merge what its databases hold.
+ * With more than one database, cards carry their `device` and their ids are
+ * prefixed with it (`work-42`) so they stay unique across databases.
+ *
+ * @returns {{ sources: Array<{ db: Database, device: string|null, dbPath: string }>, close: Function }}
+ */
+function openDatabases(settings) {
+  const sources = [];
+  try {
+    settings.databases.forEach(({ path: dbPath, device }) => {
+      sources.push({ db: openDatabase(dbPath, settings.logger), device, dbPath });
+    });
+  } catch (error) {
+    sources.forEach(source => source.db.close());
+    throw error;
+  }
+
+  return {
+    sources,
+    close: () => sources.forEach(source => source.db.close())
+  };
+}
+
+/**
+ * Runs a card query against each database of the set. Rows from several
+ * databases are labelled with their device and merged in start order.
+ */
+function queryCards(databases, query) {
+  if (databases.sources.length === 1) {
+    return query(databases.sources[0].db, databases.sources[0]);
+  }
+
+  return databases.sources
+    .flatMap(source => query(source.db, source).map(card => ({ ...card, id: `${source.device}-${card.id}`, device: source.device })))
+    .sort((a, b) => a.start_ts - b.start_ts);
+}
+
+/**
+ * Cards of one day. With Dayflow's own boundary the stored `day` column is
+ * used as-is; a custom boundary or timezone re-buckets cards by start_ts.
+ * An explicit timezone also re-renders the start/end times in that timezone,
+ * since Dayflow stores them in whatever timezone the Mac was in.
+ */
+function fetchTimelineCardsForDay(databases, dayString, settings) {
+  const params = settings.rebucket
+    ? [getDayStart(dayString, settings), getDayStart(shiftDayString(dayString, 1), settings)]
+      .map(date => Math.floor(date.getTime() / 1000))
+    : [dayString];
+
+  return queryCards(databases, db => {
+    const hideDeleted = !settings.includeDeleted && hasColumn(db, 'timeline_cards', 'is_deleted');
+    const query = `
+      SELECT ${selectColumns(db, 'timeline_cards')}
+      FROM timeline_cards
+      WHERE ${settings.rebucket ? 'start_ts >= ? AND start_ts < ?' : 'day = ?'}
+        ${hideDeleted ? 'AND is_deleted = 0' : ''}
+      ORDER BY start_ts ASC
+    `;
+
+    return db.prepare(query).all(...params).map(card => withCardDay(card, dayString, settings));
+  });
+}
+
+function withCardDay(card, dayString, settings) {
+  return {
+    ...card,
+    day: dayString,
+    start: settings.timezone || card.start === null ? formatCardTime(card.start_ts, settings.timezone) : card.start,
+    end: settings.timezone || card.end === null ? formatCardTime(card.end_ts, settings.timezone) : card.end
+  };
+}
+
+/**
+ * Timeline cards from `from` to `to` (inclusive days, either may be null for
+ * an open range), with the same day assignment as fetchTimelineCardsForDay.
+ */
+function fetchTimelineCardsBetween(databases, from, to, settings) {
+  const toTimestamp = date => Math.floor(date.getTime() / 1000);
+  const params = {
+    ...(from && { from: toTimestamp(getDayStart(from, settings)) }),
+    ...(to && { to: toTimestamp(getDayStart(shiftDayString(to, 1), settings)) })
+  };
+
+  return queryCards(databases, db => {
+    const hideDeleted = !settings.includeDeleted && hasColumn(db, 'timeline_cards', 'is_deleted');
+    const conditions = [
+      from && 'start_ts >= @from',
+      to && 'start_ts < @to',
+      hideDeleted && 'is_deleted = 0'
+    ].filter(Boolean);
+    const query = `
+      SELECT ${selectColumns(db, 'timeline_cards')}
+      FROM timeline_cards
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY start_ts ASC
+    `;
+
+    return db.prepare(query).all(params).map(card => withCardDay(
+      card,
+      settings.rebucket ? getDayForDate(new Date(card.start_ts * 1000), settings) : card.day,
+      settings
+    ));
+  });
+}
+
+/**
+ * Cards by id wherever they are, deleted or not, with `is_deleted` (0 when
+ * the database has no such column). Used to explain cards that left a note.
+ */
+function fetchTimelineCardsByIds(databases, ids, settings) {
+  const multiple = databases.sources.length > 1;
+
+  return queryCards(databases, (db, { device }) => {
+    // Device-prefixed ids belong to that device's database
+    const sourceIds = multiple
+      ? ids.map(String).filter(id => id.startsWith(`${device}-`)).map(id => id.slice(device.length + 1))
+      : ids;
+    if (sourceIds.length === 0) {
+      return [];
+    }
+
+    const isDeleted = hasColumn(db, 'timeline_cards', 'is_deleted') ? 'is_deleted' : '0 AS is_deleted';
+    const query = `
+      SELECT ${selectColumns(db, 'timeline_cards')}, ${isDeleted}
+      FROM timeline_cards
+      WHERE id IN (${sourceIds.map(() => '?').join(', ')})
+    `;
+
+    return db.prepare(query).all(...sourceIds).map(card => withCardDay(card, card.day, settings));
+  });
+}
+
+/**
+ * Timeline cards for a day with the rules and redaction applied. Redactions
+ * are noted in `redactionLog` (see redactText).
+ */
+function fetchDayCards(db, dayString, settings, redactionLog = []) {
+  const result = applyCardRules(fetchTimelineCardsForDay(db, dayString, settings), settings.rules);
+  const { redact } = settings.rules;
+  if (!redact) {
+    return result;
+  }
+
+  const cards = result.cards.map(card => redactCard(card, redact, redactionLog)).filter(Boolean);
+  return { ...result, cards, redacted: result.cards.length - cards.length };
+}
+
+function fetchJournalEntryForDay(databases, dayString) {
+  const entries = databases.sources.flatMap(({ db, device }) => {
+    if (!getSchema(db).journal_entries) {
+      return [];
+    }
+
+    const query = `
+      SELECT ${selectColumns(db, 'journal_entries')}
+      FROM journal_entries
+      WHERE day = ?
+    `;
+    const entry = db.prepare(query).get(dayString);
+    return entry ? [{ device, entry }] : [];
+  });
+
+  return reconcileJournalEntries(entries);
+}
+
+/**
+ * One journal entry from the same day's entries on several devices. Goals
+ * become one checklist (a goal checked on any device stays checked), other
+ * text keeps each device's distinct version labelled with the device, and
+ * the day is `completed` once any device completed it.
+ */
+function reconcileJournalEntries(entries) {
+  if (entries.length <= 1) {
+    return entries[0]?.entry;
+  }
+
+  const goals = new Map();
+  entries.forEach(({ entry }) => parseGoals(entry.goals).forEach(goal => {
+    const key = goal.text.toLowerCase();
+    goals.set(key, { text: goal.text, checked: goal.checked || !!goals.get(key)?.checked });
+  }));
+
+  const mergeText = field => {
+    const versions = entries
+      .filter(({ entry }) => entry[field]?.trim())
+      .map(({ device, entry }) => ({ device, text: entry[field].trim() }))
+      .filter((version, index, all) => all.findIndex(other => other.text === version.text) === index);
+    if (versions.length <= 1) {
+      return versions[0]?.text ?? null;
+    }
+    return versions.map(({ device, text }) => `**${device}**: ${text}`).join('\n\n');
+  };
+
+  const editedAt = ({ entry }) => entry.updated_at ?? entry.created_at ?? '';
+  const byEdit = [...entries].sort((a, b) => editedAt(b).localeCompare(editedAt(a)));
+  const createdAt = entries.map(({ entry }) => entry.created_at).filter(Boolean).sort()[0] ?? null;
+
+  return {
+    ...byEdit[0].entry,
+    ...Object.fromEntries(JOURNAL_TEXT_FIELDS.filter(field => field !== 'goals').map(field => [field, mergeText(field)])),
+    goals: goals.size > 0
+      ? [...goals.values()].map(goal => `- [${goal.checked ? 'x' : ' '}] ${goal.text}`).join('\n')
+      : null,
+    status: entries.some(({ entry }) => entry.status === 'completed') ? 'completed' : byEdit[0].entry.status,
+    created_at: createdAt,
+    updated_at: editedAt(byEdit[0]) || null,
+    devices: entries.map(({ device }) => device)
+  };
+}
+
+// The day's journal entry with redaction applied; see fetchDayCards
+function fetchDayJournal(db, dayString, settings, redactionLog = []) {
+  const journal = fetchJournalEntryForDay(db, dayString);
+  return settings.rules.redact ? redactJournal(journal, settings.rules.redact, redactionLog) : journal;
+}
+
+function fetchJournalEntriesBetween(databases, from, to) {
+  const byDay = new Map();
+  databases.sources.forEach(({ db, device }) => {
+    if (!getSchema(db).journal_entries) {
+      return;
+    }
+
+    const conditions = [from && 'day >= @from', to && 'day <= @to'].filter(Boolean);
+    const query = `
+      SELECT ${selectColumns(db, 'journal_entries')}
+      FROM journal_entries
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY day ASC
+    `;
+
+    db.prepare(query).all({ ...(from && { from }), ...(to && { to }) }).forEach(entry => {
+      byDay.set(entry.day, [...(byDay.get(entry.day) ?? []), { device, entry }]);
+    });
+  });
+
+  return [...byDay.keys()].sort().map(day => reconcileJournalEntries(byDay.get(day)));
+}
+
+// Newest-edit timestamp of a journal row, from whichever columns exist
+function journalTimestampColumn(db) {
+  const columns = ['updated_at', 'created_at'].filter(column => hasColumn(db, 'journal_entries', column));
+  return columns.length > 1 ? `COALESCE(${columns.join(', ')})` : columns[0] ?? 'NULL';
+}
+
+/**
+ * Highest created_at / id seen in each table, plus a fingerprint of each
+ * day's rows. Incremental sync stores this and compares against it on the
+ * next run. With several databases there is one watermark per device:
+ * { devices: { [device]: watermark } }.
+ */
+function fetchDatabaseWatermark(databases, settings) {
+  if (databases.sources.length === 1) {
+    return fetchSourceWatermark(databases.sources[0].db, settings);
+  }
+  return {
+    devices: Object.fromEntries(databases.sources.map(({ db, device }) => [device, fetchSourceWatermark(db, settings)]))
+  };
+}
+
+function fetchSourceWatermark(db, settings) {
+  const cardCreatedAt = hasColumn(db, 'timeline_cards', 'created_at') ? 'created_at' : 'NULL';
+  const cards = db.prepare(`
+    SELECT MAX(${cardCreatedAt}) AS maxCreatedAt, MAX(id) AS maxId FROM timeline_cards
+  `).get();
+  const journal = getSchema(db).journal_entries
+    ? db.prepare(`
+      SELECT MAX(${journalTimestampColumn(db)}) AS maxUpdatedAt,
+        MAX(${hasColumn(db, 'journal_entries', 'id') ? 'id' : 'NULL'}) AS maxId
+      FROM journal_entries
+    `).get()
+    : { maxUpdatedAt: null, maxId: null };
+
+  return {
+    cardMaxCreatedAt: cards.maxCreatedAt,
+    cardMaxId: cards.maxId,
+    journalMaxUpdatedAt: journal.maxUpdatedAt,
+    journalMaxId: journal.maxId,
+    days: fetchDayFingerprints(db, settings)
+  };
+}
+
+/**
+ * A short hash of every card and journal row of each day, deleted cards
+ * included, so soft deletes and in-place edits change it too.
+ * @returns {Object} { [day]: fingerprint }
+ */
+function fetchDayFingerprints(db, settings) {
+  const hashes = new Map();
+  const add = (day, row) => {
+    if (!hashes.has(day)) {
+      hashes.set(day, createHash('sha256'));
+    }
+    hashes.get(day).update(JSON.stringify(row));
+  };
+
+  for (const card of db.prepare('SELECT * FROM timeline_cards ORDER BY rowid').iterate()) {
+    add(settings.rebucket ? getDayForDate(new Date(card.start_ts * 1000), settings) : card.day, card);
+  }
+  if (getSchema(db).journal_entries) {
+    for (const entry of db.prepare('SELECT * FROM journal_entries ORDER BY rowid').iterate()) {
+      add(entry.day, entry);
+    }
+  }
+
+  return Object.fromEntries([...hashes.keys()].sort().map(day => [day, hashes.get(day).digest('hex').slice(0, 12)]));
+}
+
+/**
+ * Days with timeline cards or journal entries added, edited or deleted since
+ * the given watermark, newest first. `current` is the database's watermark
+ * now (see fetchDatabaseWatermark); days whose fingerprint differs count as
+ * changed. Cards are mapped to days with the same boundary
+ * fetchTimelineCardsForDay uses.
+ */
+function fetchChangedDays(databases, watermark, current, settings) {
+  if (databases.sources.length === 1) {
+    return fetchSourceChangedDays(databases.sources[0].db, watermark, current, settings);
+  }
+
+  // A device missing from the watermark (newly added) counts as all new
+  const days = databases.sources.flatMap(({ db, device }) =>
+    fetchSourceChangedDays(db, watermark.devices?.[device] ?? {}, current.devices[device], settings));
+  return [...new Set(days)].sort().reverse();
+}
+
+function fetchSourceChangedDays(db, watermark, current, settings) {
+  const cardConditions = ['id > COALESCE(@cardMaxId, 0)'];
+  if (hasColumn(db, 'timeline_cards', 'created_at')) {
+    cardConditions.unshift(`created_at > COALESCE(@cardMaxCreatedAt, '')`);
+  }
+
+  const journalConditions = [];
+  if (getSchema(db).journal_entries) {
+    const timestamp = journalTimestampColumn(db);
+    if (timestamp !== 'NULL') {
+      journalConditions.push(`${timestamp} > COALESCE(@journalMaxUpdatedAt, '')`);
+    }
+    if (hasColumn(db, 'journal_entries', 'id')) {
+      journalConditions.push('id > COALESCE(@journalMaxId, 0)');
+    }
+  }
+
+  const cardDays = db.prepare(`
+    SELECT day, start_ts FROM timeline_cards
+    WHERE ${cardConditions.join(' OR ')}
+  `).all({
+    cardMaxCreatedAt: watermark.cardMaxCreatedAt ?? null,
+    cardMaxId: watermark.cardMaxId ?? null
+  }).map(row => settings.rebucket ? getDayForDate(new Date(row.start_ts * 1000), settings) : row.day);
+
+  const journalDays = journalConditions.length > 0
+    ? db.prepare(`
+      SELECT day FROM journal_entries
+      WHERE ${journalConditions.join(' OR ')}
+    `).all({
+      journalMaxUpdatedAt: watermark.journalMaxUpdatedAt ?? null,
+      journalMaxId: watermark.journalMaxId ?? null
+    }).map(row => row.day)
+    : [];
+
+  // State written before fingerprints existed only has the maxima above
+  const previousDays = watermark.days ?? {};
+  const fingerprintDays = watermark.days
+    ? [...new Set([...Object.keys(previousDays), ...Object.keys(current.days)])]
+      .filter(day => previousDays[day] !== current.days[day])
+    : [];
+
+  return [...new Set([...cardDays, ...journalDays, ...fingerprintDays])].sort().reverse();
+}
+
+// First of several possible keys, for metadata written by different Dayflow versions
+function pickField(object, keys) {
+  const key = keys.find(candidate => object?.[candidate] !== undefined && object[candidate] !== null);
+  return key ? object[key] : undefined;
+}
+
+// An app may be stored as a plain name or as { name | app | domain | title }
+function normalizeAppName(app) {
+  if (app && typeof app === 'object') {
+    return pickField(app, ['name', 'app', 'domain', 'title']) ?? null;
+  }
+  return app ? String(app) : null;
+}
+
+function hasUnparsableMetadata(card) {
+  if (typeof card.metadata !== 'string' || !card.metadata) {
+    return false;
+  }
+  try {
+    JSON.parse(card.metadata);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Normalizes the metadata JSON into { distractions, appSites }. Accepted shapes:
+ * - appSites as { primary, secondary }, a [primary, secondary] array, or under
+ *   app_sites / apps
+ * - distractions with startTime/endTime or start_time/end_time (or start/end)
+ */
+function parseMetadata(metadataJson) {
+  if (!metadataJson) {
+    return { distractions: [], appSites: {} };
+  }
+
+  let parsed;
+  try {
+    parsed = typeof metadataJson === 'string' ? JSON.parse(metadataJson) : metadataJson;
+  } catch {
+    // Reported once per card by the day's sync (see hasUnparsableMetadata)
+    return { distractions: [], appSites: {} };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { distractions: [], appSites: {} };
+  }
+
+  const rawApps = pickField(parsed, ['appSites', 'app_sites', 'apps']);
+  const [primary, secondary] = Array.isArray(rawApps)
+    ? rawApps
+    : [pickField(rawApps, ['primary']), pickField(rawApps, ['secondary'])];
+  const appSites = Object.fromEntries(
+    [['primary', normalizeAppName(primary)], ['secondary', normalizeAppName(secondary)]]
+      .filter(([, app]) => app)
+  );
+
+  const rawDistractions = pickField(parsed, ['distractions']);
+  const distractions = (Array.isArray(rawDistractions) ? rawDistractions : [])
+    .filter(d => d && typeof d === 'object')
+    .map(d => ({
+      ...d,
+      startTime: pickField(d, ['startTime', 'start_time', 'start']),
+      endTime: pickField(d, ['endTime', 'end_time', 'end'])
+    }));
+
+  return { distractions, appSites };
+}
+
+// ==================== Date Functions ====================
+/**
+ * Day boundaries are computed in the configured timezone (the system's when
+ * none is set) from the wall-clock hour a day starts at. Day strings are
+ * plain calendar dates, so arithmetic on them never touches a timezone.
+ */
+const zonedFormatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in a timezone.
+ * @param {Date} date
+ * @param {string|null} timeZone - IANA name, or null for the system timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function getZonedParts(date, timeZone) {
+  const key = timeZone ?? '';
+  if (!zonedFormatters.has(key)) {
+    zonedFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone ?? undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  return Object.fromEntries(zonedFormatters.get(key)
+    .formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings
+function shiftDayString(dayString, days) {
+  const date = new Date(`${dayString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// '4am', '12am', '6pm' - how the boundary is written in frontmatter
+function formatBoundaryHour(hour) {
+  return `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+}
+
+// Card time in Dayflow's own display format ("9:05 AM")
+function formatCardTime(timestamp, timeZone = null) {
+  const { hour, minute } = getZonedParts(new Date(timestamp * 1000), timeZone);
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * The instant a day begins: its date at the boundary hour, in the timezone.
+ * Offsets are re-checked once so days that start next to a DST change land
+ * on the right hour.
+ *
+ * @param {string} dayString - YYYY-MM-DD
+ * @param {{ dayStartHour: number, timezone: string|null }} boundary
+ * @returns {Date}
+ */
+function getDayStart(dayString, { dayStartHour, timezone }) {
+  const [year, month, day] = dayString.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, day, dayStartHour);
+  let timestamp = target;
+
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(timestamp), timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    timestamp += target - wallClock;
+  }
+
+  return new Date(timestamp);
+}
+
+/**
+ * Check if a day is complete (current time is past the boundary of the NEXT day)
+ * Used to determine if a day's note should be updated or skipped
+ */
+function isDayComplete(dayString, boundary) {
+  return new Date() >= getDayStart(shiftDayString(dayString, 1), boundary);
+}
+
+/**
+ * Applies the day boundary to an instant. With Dayflow's default of 4 AM, a
+ * "day" runs from 4:00 AM to 3:59 AM the next calendar day. This matches
+ * natural sleep/work patterns and ensures late-night activities are grouped
+ * with the correct working day.
+ *
+ * @param {Date} date - Reference date/time
+ * @param {{ dayStartHour: number, timezone: string|null }} boundary
+ * @returns {string} Day string (YYYY-MM-DD)
+ *
+ * @example
+ * // Activity at 2:00 AM on Dec 20 with the 4 AM boundary
+ * getDayForDate(new Date('2024-12-20T02:00:00'), { dayStartHour: 4, timezone: null })
+ * // Returns: '2024-12-19'
+ */
+function getDayForDate(date, { dayStartHour, timezone }) {
+  const { year, month, day, hour } = getZonedParts(date, timezone);
+  const dayString = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  // Before the boundary = previous day
+  return hour < dayStartHour ? shiftDayString(dayString, -1) : dayString;
+}
+
+/**
+ * Validates --from/--to. Returns null when neither is given; a missing --to
+ * means the current Dayflow day.
+ *
+ * @throws {OptionsError} When either date is malformed or the range is reversed
+ */
+function parseDateRangeOptions(from, to, boundary) {
+  if (!from && !to) {
+    return null;
+  }
+
+  const invalid = [['from', from], ['to', to]]
+    .filter(([, value]) => value && !(/^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parseISO(value))));
+
+  if (!from) {
+    invalid.push(['from', 'missing (required with to)']);
+  }
+
+  const range = {
+    from,
+    to: to || getDayForDate(new Date(), boundary)
+  };
+
+  if (invalid.length === 0 && range.from > range.to) {
+    invalid.push(['from', `${from} is after to ${range.to}`]);
+  }
+
+  if (invalid.length > 0) {
+    throw new OptionsError('Invalid date range', {
+      option: 'from',
+      details: invalid.map(([option, value]) => `${option}: ${value}`)
+    });
+  }
+
+  return range;
+}
+
+/**
+ * Every day from `from` to `to` inclusive, newest first like calculateDateRange.
+ */
+function calculateDateRangeBetween(from, to) {
+  return eachDayOfInterval({ start: parseISO(from), end: parseISO(to) })
+    .map(date => format(date, 'yyyy-MM-dd'))
+    .reverse();
+}
+
+function calculateDateRange(days, boundary) {
+  const today = getDayForDate(new Date(), boundary);
+  return Array.from({ length: days }, (_, i) => shiftDayString(today, -i));
+}
+
+// ==================== Data Processing Functions ====================
+function calculateDuration(startTs, endTs) {
+  return Math.round((endTs - startTs) / 60); // Convert seconds to minutes
+}
+
+function formatDayString(dayString) {
+  const date = new Date(dayString + 'T00:00:00');
+  return format(date, 'MMMM d, yyyy');
+}
+
+function extractCategories(cards) {
+  const categories = new Set();
+  cards.forEach(card => {
+    if (card.category) {
+      categories.add(card.category);
+    }
+  });
+  return Array.from(categories);
+}
+
+/**
+ * Turns cards into non-overlapping intervals, in start order. A card that
+ * starts before an earlier card has ended is clipped to begin where the
+ * covered time ends (a card entirely inside another counts for nothing), so
+ * overlapping time is only counted once in totals.
+ *
+ * @returns {Array<{ card: Object, start_ts: number, end_ts: number }>}
+ */
+function normalizeCardIntervals(cards) {
+  let coveredUntil = -Infinity;
+
+  return [...cards]
+    .sort((a, b) => a.start_ts - b.start_ts)
+    .map(card => {
+      const start = Math.max(card.start_ts, coveredUntil);
+      const end = Math.max(card.end_ts, start);
+      coveredUntil = Math.max(coveredUntil, card.end_ts);
+      return { card, start_ts: start, end_ts: end };
+    });
+}
+
+/**
+ * Pairs of cards whose times overlap, with the overlap in minutes.
+ * @returns {Array<{ first: Object, second: Object, minutes: number }>}
+ */
+function findOverlappingCards(cards) {
+  const overlaps = [];
+  let latest = null;
+
+  [...cards]
+    .sort((a, b) => a.start_ts - b.start_ts)
+    .forEach(card => {
+      if (latest && card.start_ts < latest.end_ts) {
+        overlaps.push({
+          first: latest,
+          second: card,
+          minutes: calculateDuration(card.start_ts, Math.min(card.end_ts, latest.end_ts))
+        });
+      }
+      if (!latest || card.end_ts > latest.end_ts) {
+        latest = card;
+      }
+    });
+
+  return overlaps;
+}
+
+/**
+ * Stretches between cards with nothing recorded, at least `thresholdMinutes` long.
+ * Only time between the day's first and last card counts.
+ *
+ * @returns {Array<{ start_ts: number, end_ts: number, minutes: number, before: Object }>}
+ *   `before` is the card that follows the gap
+ */
+function findUntrackedGaps(cards, thresholdMinutes) {
+  const gaps = [];
+  let coveredUntil = null;
+
+  [...cards]
+    .sort((a, b) => a.start_ts - b.start_ts)
+    .forEach(card => {
+      if (coveredUntil !== null && card.start_ts > coveredUntil) {
+        const minutes = calculateDuration(coveredUntil, card.start_ts);
+        if (minutes >= thresholdMinutes) {
+          gaps.push({ start_ts: coveredUntil, end_ts: card.start_ts, minutes, before: card });
+        }
+      }
+      coveredUntil = Math.max(coveredUntil ?? card.end_ts, card.end_ts);
+    });
+
+  return gaps;
+}
+
+function calculateTotalMinutes(cards) {
+  return normalizeCardIntervals(cards).reduce((total, interval) => {
+    return total + calculateDuration(interval.start_ts, interval.end_ts);
+  }, 0);
+}
+
+function calculateCategoryMinutes(cards) {
+  const categoryCounts = {};
+  normalizeCardIntervals(cards).forEach(({ card, start_ts, end_ts }) => {
+    const cat = card.category || 'Uncategorized';
+    categoryCounts[cat] = (categoryCounts[cat] || 0) + calculateDuration(start_ts, end_ts);
+  });
+  return categoryCounts;
+}
+
+function formatCategoryPercentages(cards, formatCategory = cat => cat) {
+  const categoryCounts = calculateCategoryMinutes(cards);
+  const totalCategoryMinutes = Object.values(categoryCounts).reduce((sum, mins) => sum + mins, 0);
+
+  return Object.entries(categoryCounts)
+    .map(([cat, mins]) => {
+      const pct = Math.round((mins / totalCategoryMinutes) * 100);
+      return `${formatCategory(cat)} (${pct}%)`;
+    })
+    .join(', ');
+}
+
+function aggregateAppUsage(cards) {
+  const appStats = {};
+
+  normalizeCardIntervals(cards).forEach(({ card, start_ts, end_ts }) => {
+    const metadata = parseMetadata(card.metadata);
+    const duration = calculateDuration(start_ts, end_ts);
+
+    [metadata.appSites?.primary, metadata.appSites?.secondary]
+      .filter(Boolean)
+      .forEach(app => {
+        if (!appStats[app]) {
+          appStats[app] = { sessions: 0, totalMinutes: 0 };
+        }
+        appStats[app].sessions += 1;
+        appStats[app].totalMinutes += duration;
+      });
+  });
+
+  return Object.entries(appStats)
+    .sort((a, b) => b[1].totalMinutes - a[1].totalMinutes)
+    .map(([app, stats]) => ({ app, ...stats }));
+}
+
+function extractAllDistractions(cards) {
+  const allDistractions = [];
+
+  cards.forEach(card => {
+    const metadata = parseMetadata(card.metadata);
+    if (metadata.distractions && metadata.distractions.length > 0) {
+      metadata.distractions.forEach(d => {
+        allDistractions.push({
+          ...d,
+          cardStart: card.start,
+          cardEnd: card.end
+        });
+      });
+    }
+  });
+
+  return allDistractions;
+}
+
+/**
+ * Minutes since midnight for a distraction time: "9:30 AM", "21:30" or a
+ * Unix timestamp in seconds, read in `timeZone` (null for the system
+ * timezone). Null when it can't be read.
+ */
+function parseClockMinutes(value, timeZone = null) {
+  if (typeof value === 'number') {
+    const { hour, minute } = getZonedParts(new Date(value * 1000), timeZone);
+    return hour * 60 + minute;
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/);
+  if (!match) {
+    return null;
+  }
+  const [, hours, minutes, meridiem] = match;
+  const hour = meridiem ? (Number(hours) % 12) + (/p/i.test(meridiem) ? 12 : 0) : Number(hours);
+  return hour * 60 + Number(minutes);
+}
+
+// ==================== Goals ====================
+/**
+ * Journal goals become a checklist tied to the timeline. A goal matches a
+ * card through its #tags when it has any, otherwise when at least half of its
+ * keywords appear in the card's title, summaries, category or apps. Goals
+ * with no matching card carry over to the next day's note.
+ */
+const GOAL_TAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_/-]+)/gu;
+const GOAL_ITEM_PATTERN = /^\s*(?:[-*+•]|\d+[.)])?\s*(?:\[([ xX])\]\s*)?(.*)$/;
+const GOAL_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'onto', 'about', 'that', 'this', 'these', 'those',
+  'then', 'than', 'have', 'has', 'had', 'get', 'got', 'make', 'more', 'less', 'some', 'all', 'any',
+  'out', 'off', 'day', 'today', 'tomorrow', 'finish', 'finally', 'start', 'continue', 'work',
+  'working', 'done', 'complete', 'minutes', 'minute', 'mins', 'min', 'hours', 'hour', 'time',
+  'least', 'most', 'try', 'keep', 'before', 'after', 'also', 'just', 'our', 'my', 'your', 'its'
+]);
+
+/**
+ * Splits journal goals (a list, numbered list, checklist, plain lines or a
+ * JSON array) into items.
+ *
+ * @returns {Array<{ text: string, checked: boolean, tags: string[] }>}
+ */
+function parseGoals(goals) {
+  if (typeof goals !== 'string' || !goals.trim()) {
+    return [];
+  }
+
+  let lines = null;
+  if (goals.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(goals);
+      lines = Array.isArray(parsed) ? parsed.map(String) : null;
+    } catch {
+      // Not JSON; treat it as text
+    }
+  }
+
+  return (lines ?? goals.split(/\r?\n/))
+    .map(line => {
+      const [, mark, text] = line.match(GOAL_ITEM_PATTERN);
+      return {
+        text: text.trim(),
+        checked: /x/i.test(mark ?? ''),
+        tags: [...text.matchAll(GOAL_TAG_PATTERN)].map(match => match[1].toLowerCase())
+      };
+    })
+    .filter(goal => goal.text);
+}
+
+function getGoalKeywords(goal) {
+  const words = goal.text
+    .replace(GOAL_TAG_PATTERN, ' ')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 3 && !GOAL_STOPWORDS.has(word) && !/^\d+$/.test(word));
+  return [...new Set(words)];
+}
+
+function getCardSearchText(card) {
+  const { appSites } = parseMetadata(card.metadata);
+  return [card.title, card.summary, card.detailed_summary, card.category, card.subcategory, appSites.primary, appSites.secondary]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+}
+
+function matchesGoal(goal, cardText) {
+  if (goal.tags.length > 0) {
+    return goal.tags.some(tag => cardText.includes(tag));
+  }
+  const keywords = getGoalKeywords(goal);
+  const found = keywords.filter(keyword => cardText.includes(keyword)).length;
+  return keywords.length > 0 && found >= Math.ceil(keywords.length / 2);
+}
+
+/**
+ * Matches goals against a day's cards. A goal counts as completed when it
+ * was ticked in the journal or any card matches it.
+ *
+ * @returns {Array<{ text, checked, tags, completed, minutes, cards }>}
+ */
+function trackGoals(goals, cards, settings) {
+  const cardTexts = cards.map(card => ({ card, text: getCardSearchText(card) }));
+
+  return goals.map(goal => {
+    const matching = cardTexts.filter(({ text }) => matchesGoal(goal, text)).map(({ card }) => card);
+    return {
+      ...goal,
+      completed: goal.checked || matching.length > 0,
+      minutes: calculateTotalMinutes(matching),
+      cards: matching.map(card => ({
+        id: card.id,
+        start: card.start ?? formatCardTime(card.start_ts, settings.timezone),
+        end: card.end ?? formatCardTime(card.end_ts, settings.timezone),
+        title: card.title
+      }))
+    };
+  });
+}
+
+/**
+ * The previous day's goals that nothing matched, tracked again against
+ * today's cards. Goals repeated in today's journal aren't carried.
+ */
+function findCarriedOverGoals(previousGoals, fromDay, todayGoals, cards, settings) {
+  const today = new Set(todayGoals.map(goal => goal.text.toLowerCase()));
+  const open = previousGoals.filter(goal => !goal.completed && !today.has(goal.text.toLowerCase()));
+
+  return trackGoals(open.map(({ text, checked, tags }) => ({ text, checked, tags })), cards, settings)
+    .map(goal => ({ ...goal, from: fromDay }));
+}
+
+function countGoals(goals, carriedOver) {
+  return {
+    goals_total: goals.length,
+    goals_completed: goals.filter(goal => goal.completed).length,
+    goals_carried_over: carriedOver.length
+  };
+}
+
+// ==================== Card Changes ====================
+// Card content that ends up in a note; a change to any of it is a rewrite
+const CARD_HASH_FIELDS = [
+  'start_ts', 'end_ts', 'title', 'summary', 'detailed_summary',
+  'category', 'subcategory', 'metadata', 'video_summary_url'
+];
+
+function hashCard(card) {
+  const content = JSON.stringify(CARD_HASH_FIELDS.map(field => card[field] ?? null));
+  return createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+// { [card id]: hash }, as recorded in the note's frontmatter
+function getCardHashes(cards) {
+  return Object.fromEntries(cards.map(card => [card.id, hashCard(card)]));
+}
+
+/**
+ * Card hashes recorded by the last write of a day's note or Logseq page, or
+ * null when there is none (or it predates card tracking).
+ */
+async function readPreviousCardHashes(dayString, settings) {
+  if (!settings.formats.includes('markdown')) {
+    return null;
+  }
+
+  const content = await readExistingNote(path.join(settings.outputDir, generateFilename(dayString, settings)));
+  if (!content) {
+    return null;
+  }
+
+  if (settings.target === 'logseq') {
+    const value = parseLogseqPage(content).properties
+      .map(line => line.match(LOGSEQ_PROPERTY_PATTERN))
+      .find(([, key]) => key === 'dayflow-card-hashes')?.[2];
+    return value === undefined
+      ? null
+      : Object.fromEntries(value.split(',').map(pair => pair.trim().split(':')).filter(pair => pair.length === 2));
+  }
+
+  const hashes = parseNote(content).frontmatter?.card_hashes;
+  return hashes && typeof hashes === 'object' ? hashes : null;
+}
+
+/**
+ * Compares a day's cards with the hashes from the previous write. Removed
+ * cards are looked up again to say why they left: `deleted` in Dayflow,
+ * `reprocessed` (the row is gone, usually replaced by a new batch) or
+ * `excluded` (still in Dayflow, but filtered out or now on another day).
+ * Removed cards carry no title, since it may be what a rule hid.
+ *
+ * @returns {{ added: Object[], removed: Object[], rewritten: Object[] }}
+ */
+function detectCardChanges(previousHashes, cards, db, settings) {
+  const current = getCardHashes(cards);
+  const previous = new Map(Object.entries(previousHashes).map(([id, hash]) => [String(id), String(hash)]));
+
+  const removedIds = [...previous.keys()].filter(id => !Object.hasOwn(current, id));
+  const rows = new Map(fetchTimelineCardsByIds(db, removedIds, settings).map(row => [String(row.id), row]));
+
+  return {
+    added: cards.filter(card => !previous.has(String(card.id))),
+    removed: removedIds.map(id => {
+      const row = rows.get(id);
+      return {
+        id: row?.id ?? id,
+        start: row?.start ?? null,
+        end: row?.end ?? null,
+        reason: !row ? 'reprocessed' : row.is_deleted ? 'deleted' : 'excluded'
+      };
+    }),
+    rewritten: cards.filter(card => previous.has(String(card.id)) && previous.get(String(card.id)) !== current[card.id])
+  };
+}
+
+function countCardChanges(changes) {
+  return {
+    added: changes.added.length,
+    removed: changes.removed.length,
+    rewritten: changes.rewritten.length
+  };
+}
+
+// ==================== Markdown Generation Functions ====================
+// Devices that recorded cards or journal text for the day; only set when
+// syncing several databases
+function getDayDevices(cards, journal, settings) {
+  if (settings.databases.length <= 1) {
+    return null;
+  }
+  const recorded = new Set([...cards.map(card => card.device), ...(journal?.devices ?? [])]);
+  return settings.databases.map(({ device }) => device).filter(device => recorded.has(device));
+}
+
+/**
+ * @param {Object} [context] - Computed by syncDay: { carriedOver, cardChanges, videoAttachments }
+ */
+function generateFrontmatter(dayString, cards, journal, settings, existingCreatedAt = null, { carriedOver = [] } = {}) {
+  const totalMinutes = calculateTotalMinutes(cards);
+  const categories = extractCategories(cards);
+  const goals = trackGoals(parseGoals(journal?.goals), cards, settings);
+
+  const frontmatter = {
+    dayflow_day: dayString,
+    day_boundary: formatBoundaryHour(settings.dayStartHour),
+    ...(settings.timezone && { timezone: settings.timezone }),
+    total_cards: cards.length,
+    total_minutes: totalMinutes,
+    untracked_minutes: findUntrackedGaps(cards, settings.gapThreshold).reduce((sum, gap) => sum + gap.minutes, 0),
+    categories: categories,
+    ...(getDayDevices(cards, journal, settings) && { devices: getDayDevices(cards, journal, settings) }),
+    has_journal: !!journal,
+    journal_status: journal?.status || null,
+    ...((goals.length > 0 || carriedOver.length > 0) && countGoals(goals, carriedOver)),
+    card_ids: cards.map(card => card.id),
+    card_hashes: getCardHashes(cards),
+    created_at: existingCreatedAt || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    tags: ['dayflow', 'timeline', ...categories.map(c => c.toLowerCase())]
+  };
+
+  return '---\n' + yaml.dump(frontmatter) + '---\n';
+}
+
+/**
+ * Builds the data model a note template renders from.
+ * Card rows keep their database column names; computed values are camelCase.
+ *
+ * @param {Object} [context] - Computed by syncDay: { carriedOver, cardChanges, videoAttachments }
+ */
+function buildNoteModel(dayString, cards, journal, settings, { carriedOver = [], cardChanges = null, videoAttachments = null } = {}) {
+  const totalMinutes = calculateTotalMinutes(cards);
+  const gaps = findUntrackedGaps(cards, settings.gapThreshold).map(gap => ({
+    ...gap,
+    start: formatCardTime(gap.start_ts, settings.timezone),
+    end: formatCardTime(gap.end_ts, settings.timezone)
+  }));
+  const untrackedMinutes = gaps.reduce((sum, gap) => sum + gap.minutes, 0);
+  // With --wikilinks, apps/categories/subcategories render as links to their index pages
+  const link = kind => name => settings.wikilinks && name ? generateWikilink(kind, name, settings.indexFolder) : name;
+
+  return {
+    day: {
+      date: dayString,
+      title: formatDayString(dayString),
+      boundary: formatBoundaryHour(settings.dayStartHour)
+    },
+    devices: getDayDevices(cards, journal, settings),
+    cards: cards.map(card => {
+      const metadata = parseMetadata(card.metadata);
+      return {
+        ...card,
+        metadata,
+        category: link('category')(card.category),
+        subcategory: link('subcategory')(card.subcategory),
+        duration: calculateDuration(card.start_ts, card.end_ts),
+        gapBefore: gaps.find(gap => gap.before === card) || null,
+        apps: [metadata.appSites?.primary, metadata.appSites?.secondary].filter(Boolean).map(link('app')),
+        videoLink: card.video_summary_url
+          ? 'file://' + card.video_summary_url.replace(/ /g, '%20')
+          : null,
+        // Copy in the attachments folder, with attachVideos
+        videoAttachment: videoAttachments?.get(card.id) ?? null,
+        videoEmbed: videoAttachments?.has(card.id) ? generateVideoEmbed(videoAttachments.get(card.id), settings) : null
+      };
+    }),
+    journal: journal || null,
+    goals: trackGoals(parseGoals(journal?.goals), cards, settings),
+    carriedOver: carriedOver.map(goal => ({ ...goal, from: formatDayString(goal.from) })),
+    totals: {
+      minutes: totalMinutes,
+      hours: (totalMinutes / 60).toFixed(1),
+      cards: cards.length,
+      categoryMinutes: calculateCategoryMinutes(cards),
+      categoryPercentages: formatCategoryPercentages(cards, cat => cat === 'Uncategorized' ? cat : link('category')(cat)),
+      untrackedMinutes,
+      untrackedHours: (untrackedMinutes / 60).toFixed(1)
+    },
+    gaps,
+    // Mermaid sources; null when the chart is switched off or there are no cards
+    charts: settings.sections.timelineChart || settings.sections.categoryChart
+      ? {
+          timeline: settings.sections.timelineChart && cards.length > 0 ? generateTimelineChart(cards, settings) : null,
+          categories: settings.sections.categoryChart ? generateCategoryChart(cards) : null
+        }
+      : null,
+    // Only when the section is on and a previous write recorded card hashes
+    changes: settings.sections.changes && cardChanges
+      ? {
+          added: cardChanges.added.map(({ id, start, end, title }) => ({ id, start, end, title })),
+          rewritten: cardChanges.rewritten.map(({ id, start, end, title }) => ({ id, start, end, title })),
+          removed: cardChanges.removed,
+          total: cardChanges.added.length + cardChanges.removed.length + cardChanges.rewritten.length
+        }
+      : null,
+    cardHashes: getCardHashes(cards),
+    categories: extractCategories(cards),
+    appUsage: aggregateAppUsage(cards).map(usage => ({ ...usage, app: link('app')(usage.app) })),
+    distractions: extractAllDistractions(cards),
+    sections: settings.sections,
+    wikilinks: settings.wikilinks
+  };
+}
+
+function generateMarkdownNote(dayString, cards, journal, settings, existingCreatedAt = null, template = DEFAULT_TEMPLATE, context = {}) {
+  const frontmatter = generateFrontmatter(dayString, cards, journal, settings, existingCreatedAt, context);
+  const body = renderTemplate(template, buildNoteModel(dayString, cards, journal, settings, context));
+
+  return frontmatter + '\n' + body;
+}
+
+// ==================== Mermaid Charts ====================
+// Words that start a statement in a gantt chart, so a task can't begin with one
+const GANTT_KEYWORDS = /^(section|title|dateformat|axisformat|tickinterval|inclusiveenddates|topaxis|includes|excludes|todaymarker|weekday|weekend|click|accTitle|accDescr)\b/i;
+
+/**
+ * Makes card titles and category names safe inside Mermaid. Characters that
+ * are Mermaid syntax (`:` `;` `#` `%` `"` `<` `>`) become entity codes, which
+ * Mermaid renders as the original character.
+ */
+function escapeMermaidText(text, maxLength = 60) {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim() || 'Untitled';
+  const clipped = value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+  const escaped = clipped.replace(/[#:;%"<>]/g, char => `#${char.charCodeAt(0)};`);
+  return GANTT_KEYWORDS.test(escaped) ? `#${escaped.charCodeAt(0)};${escaped.slice(1)}` : escaped;
+}
+
+// "2025-12-20 09:30" in the note's timezone, matching the gantt dateFormat
+function formatChartTime(timestamp, timeZone) {
+  const { year, month, day, hour, minute } = getZonedParts(new Date(timestamp * 1000), timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Places a distraction's clock times ("9:30 AM") on the date of its card,
+ * rolling over midnight when the time is well before the card started.
+ */
+function getDistractionChartTimes(distraction, card, timeZone) {
+  const start = parseClockMinutes(distraction.startTime, timeZone);
+  const end = parseClockMinutes(distraction.endTime, timeZone);
+  if (start === null || end === null) {
+    return null;
+  }
+
+  const [cardDate, cardTime] = formatChartTime(card.start_ts, timeZone).split(' ');
+  const [cardHour, cardMinute] = cardTime.split(':').map(Number);
+  const startDate = start < cardHour * 60 + cardMinute - 12 * 60 ? shiftDayString(cardDate, 1) : cardDate;
+  const endDate = end < start ? shiftDayString(startDate, 1) : startDate;
+  const clock = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+  return { start: `${startDate} ${clock(start)}`, end: `${endDate} ${clock(end)}` };
+}
+
+/**
+ * Gantt chart of the day's cards with one section (and so one colour) per
+ * category, and distractions in their own lane.
+ */
+function generateTimelineChart(cards, settings) {
+  const sections = new Map();
+  cards.forEach(card => {
+    const category = card.category || 'Uncategorized';
+    sections.set(category, [...(sections.get(category) || []), card]);
+  });
+
+  const lines = [
+    'gantt',
+    '    dateFormat YYYY-MM-DD HH:mm',
+    '    axisFormat %H:%M'
+  ];
+  sections.forEach((sectionCards, category) => {
+    lines.push(`    section ${escapeMermaidText(category, 30)}`);
+    sectionCards.forEach(card => {
+      lines.push(`    ${escapeMermaidText(card.title)} :${formatChartTime(card.start_ts, settings.timezone)}, ${formatChartTime(card.end_ts, settings.timezone)}`);
+    });
+  });
+
+  const distractions = cards.flatMap(card => parseMetadata(card.metadata).distractions
+    .map(distraction => ({ distraction, times: getDistractionChartTimes(distraction, card, settings.timezone) }))
+    .filter(({ times }) => times));
+  if (distractions.length > 0) {
+    lines.push('    section Distractions');
+    distractions.forEach(({ distraction, times }) => {
+      lines.push(`    ${escapeMermaidText(distraction.title)} :crit, ${times.start}, ${times.end}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function generateCategoryChart(cards) {
+  const slices = Object.entries(calculateCategoryMinutes(cards))
+    .filter(([, minutes]) => minutes > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, minutes]) => `    "${escapeMermaidText(category, 30)}" : ${minutes}`);
+
+  return slices.length > 0
+    ? ['pie showData', '    title Minutes by category', ...slices].join('\n')
+    : null;
+}
+
+// ==================== Note Templates ====================
+/**
+ * The built-in daily note layout. Custom templates passed with --template use
+ * the same syntax and data model (see buildNoteModel):
+ *
+ * - {{path.to.value}}                 Insert a value (arrays are joined with ", ")
+ * - {{#if a}}…{{else}}…{{/if}}         Conditional; `{{#if a or b}}` matches either
+ * - {{#unless a}}…{{/unless}}          Inverted conditional
+ * - {{#each list}}…{{/each}}           Loop; exposes this, @index, @first, @last
+ * - {{#region "card-" id}}…{{/region}} Managed region preserved across re-syncs
+ *
+ * A line holding nothing but a block tag is dropped from the output entirely.
+ */
+const DEFAULT_TEMPLATE = `{{#if sections.summary}}
+{{#region "summary"}}
+# Dayflow: {{day.title}}
+
+## Daily Summary
+**Total tracked time**: {{totals.hours}} hours ({{totals.minutes}} minutes)
+**Categories**: {{#if totals.categoryPercentages}}{{totals.categoryPercentages}}{{else}}None{{/if}}
+**Timeline cards**: {{totals.cards}}
+{{#if gaps}}
+**Untracked time**: {{totals.untrackedHours}} hours ({{totals.untrackedMinutes}} minutes)
+{{/if}}
+
+---
+{{/region}}
+{{/if}}
+{{#if charts.timeline or charts.categories}}
+{{#region "visuals"}}
+## Visuals
+{{#if charts.timeline}}
+\`\`\`mermaid
+{{charts.timeline}}
+\`\`\`
+
+{{/if}}
+{{#if charts.categories}}
+\`\`\`mermaid
+{{charts.categories}}
+\`\`\`
+
+{{/if}}
+---
+{{/region}}
+{{/if}}
+{{#if changes}}
+{{#region "changes"}}
+## Changes Since Last Sync
+{{#each changes.added}}
+- **Added** {{start}} - {{end}}: {{title}}
+{{/each}}
+{{#each changes.rewritten}}
+- **Rewritten** {{start}} - {{end}}: {{title}}
+{{/each}}
+{{#each changes.removed}}
+- **Removed** {{#if start}}{{start}} - {{end}}{{else}}card {{id}}{{/if}} *({{reason}})*
+{{/each}}
+{{#unless changes.total}}
+*No card changes*
+{{/unless}}
+
+---
+{{/region}}
+{{/if}}
+{{#if sections.journal}}
+{{#region "journal"}}
+{{#if journal.intentions}}
+## Morning Intentions
+{{journal.intentions}}
+
+{{/if}}
+{{#if goals}}
+## Daily Goals
+{{#each goals}}
+- [{{#if completed}}x{{else}} {{/if}}] {{text}}{{#if minutes}} — {{minutes}} min{{/if}}
+{{#each cards}}
+  - {{start}} - {{end}}: {{title}}
+{{/each}}
+{{/each}}
+
+{{/if}}
+{{#if carriedOver}}
+## Carried Over
+{{#each carriedOver}}
+- [{{#if completed}}x{{else}} {{/if}}] {{text}} *(from {{from}})*{{#if minutes}} — {{minutes}} min{{/if}}
+{{#each cards}}
+  - {{start}} - {{end}}: {{title}}
+{{/each}}
+{{/each}}
+
+{{/if}}
+{{#if journal.notes}}
+## Journal Notes
+{{journal.notes}}
+
+{{/if}}
+{{#if journal.intentions or goals or carriedOver or journal.notes}}
+---
+{{/if}}
+{{/region}}
+{{/if}}
+{{#if sections.timeline}}
+{{#if cards}}
+{{#region "timeline"}}
+## Timeline
+{{/region}}
+{{#each cards}}
+{{#region "card-" id}}
+{{#unless @first}}
+---
+
+{{/unless}}
+{{#if gapBefore}}
+### {{gapBefore.start}} - {{gapBefore.end}} | Untracked
+*No activity recorded for {{gapBefore.minutes}} minutes*
+
+---
+
+{{/if}}
+### {{start}} - {{end}} | {{#if category}}{{category}}{{else}}Uncategorized{{/if}}{{#if device}} | {{device}}{{/if}}
+**{{title}}**
+
+{{#if detailed_summary}}
+{{detailed_summary}}
+
+{{else}}
+{{#if summary}}
+{{summary}}
+
+{{/if}}
+{{/if}}
+{{#if apps}}
+**Apps**: {{apps}}
+{{/if}}
+**Duration**: {{duration}} minutes
+{{#if wikilinks}}
+[duration:: {{duration}} min] [category:: {{#if category}}{{category}}{{else}}Uncategorized{{/if}}]{{#if subcategory}} [subcategory:: {{subcategory}}]{{/if}}{{#if device}} [device:: {{device}}]{{/if}}
+{{/if}}
+{{#if subcategory}}
+**Subcategory**: {{subcategory}}
+{{/if}}
+{{#if videoEmbed}}
+**Video summary**:
+{{videoEmbed}}
+{{else}}
+{{#if videoLink}}
+**Video summary**: [View]({{videoLink}})
+{{/if}}
+{{/if}}
+{{/region}}
+{{/each}}
+{{#region "timeline-end"}}
+---
+{{/region}}
+{{else}}
+{{#region "timeline"}}
+## Timeline
+*No timeline cards for this day*
+
+---
+{{/region}}
+{{/if}}
+{{/if}}
+{{#if sections.reflection}}
+{{#region "reflection"}}
+{{#if journal.reflections}}
+## Evening Reflection
+{{journal.reflections}}
+
+{{/if}}
+{{#if journal.summary}}
+## AI Summary
+{{journal.summary}}
+
+{{/if}}
+{{#if journal.reflections or journal.summary}}
+---
+{{/if}}
+{{/region}}
+{{/if}}
+{{#if sections.distractions}}
+{{#region "distractions"}}
+## Distractions Log
+{{#each distractions}}
+- **{{startTime}} - {{endTime}}**: {{title}}
+{{#if summary}}
+  - {{summary}}
+{{/if}}
+{{#unless @last}}
+
+{{/unless}}
+{{else}}
+*No distractions recorded today* ✨
+{{/each}}
+{{/region}}
+{{/if}}
+{{#if sections.appUsage}}
+{{#region "app-usage"}}
+## App Usage Summary
+{{#each appUsage}}
+- {{app}} ({{sessions}} sessions, {{totalMinutes}} min)
+{{else}}
+*No app usage recorded*
+{{/each}}
+{{/region}}
+{{/if}}
+`;
+
+const TEMPLATE_TAG_PATTERN = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{\s*(?:[#/][^}]*|else\s*)\}\})[ \t]*(?:\r?\n|$)/gm;
+const TEMPLATE_BLOCKS = ['if', 'unless', 'each', 'region'];
+
+/**
+ * Parses template source into a tree of text, value and block nodes.
+ * Throws on unknown or unbalanced block tags so a broken template fails
+ * before any note is written.
+ */
+function compileTemplate(source) {
+  const root = { name: 'root', children: [] };
+  const stack = [root];
+  let target = root.children;
+  let lastIndex = 0;
+
+  const normalized = source.replace(STANDALONE_TAG_PATTERN, '$1');
+
+  for (const match of normalized.matchAll(TEMPLATE_TAG_PATTERN)) {
+    const [tag, sigil, body] = match;
+    if (match.index > lastIndex) {
+      target.push({ type: 'text', value: normalized.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    const [name, ...args] = body.match(/"[^"]*"|\S+/g) || [];
+    const current = stack[stack.length - 1];
+
+    if (sigil === '#') {
+      if (!TEMPLATE_BLOCKS.includes(name)) {
+        throw new Error(`Unknown template block {{#${name}}}`);
+      }
+      // Region ids end up in the note's markers, which only match [\w-]+
+      if (name === 'region' && (args.length === 0
+        || args.some(arg => arg.startsWith('"') && !/^"[\w-]*"$/.test(arg)))) {
+        throw new Error(`Invalid region id in ${tag}: use letters, digits, "_" and "-" only`);
+      }
+      const node = { type: 'block', name, args, children: [], inverse: [] };
+      target.push(node);
+      stack.push(node);
+      target = node.children;
+    } else if (sigil === '/') {
+      if (current.name !== name) {
+        throw new Error(`Unexpected {{/${name}}} (open block: ${current.name})`);
+      }
+      stack.pop();
+      target = stack[stack.length - 1].target || stack[stack.length - 1].children;
+    } else if (name === 'else' && args.length === 0) {
+      if (current === root) {
+        throw new Error('{{else}} outside of a block');
+      }
+      current.target = current.inverse;
+      target = current.inverse;
+    } else {
+      target.push({ type: 'value', path: body });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed template block {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < normalized.length) {
+    target.push({ type: 'text', value: normalized.slice(lastIndex) });
+  }
+
+  return root;
+}
+
+/**
+ * Resolves a dotted path against the context stack, innermost scope first,
+ * so loops can still reach top-level values such as `day.title`.
+ */
+function resolveTemplatePath(path, scopes) {
+  const scope = scopes[scopes.length - 1];
+  if (path === 'this' || path === '.') {
+    return scope.value;
+  }
+  if (path.startsWith('@')) {
+    return scope.meta?.[path.slice(1)];
+  }
+
+  const [head, ...rest] = path.replace(/^this\./, '').split('.');
+  const owner = [...scopes].reverse()
+    .find(({ value }) => value !== null && typeof value === 'object' && head in value);
+  if (!owner) {
+    return undefined;
+  }
+
+  return rest.reduce((value, key) => value?.[key], owner.value[head]);
+}
+
+function isTemplateTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function renderTemplateNodes(nodes, scopes) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    if (node.type === 'value') {
+      const value = resolveTemplatePath(node.path, scopes);
+      if (value === null || value === undefined) return '';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    switch (node.name) {
+      case 'if':
+      case 'unless': {
+        const matched = node.args
+          .filter(arg => arg !== 'or')
+          .some(arg => isTemplateTruthy(resolveTemplatePath(arg, scopes)));
+        const branch = matched === (node.name === 'if') ? node.children : node.inverse;
+        return renderTemplateNodes(branch, scopes);
+      }
+      case 'each': {
+        const list = resolveTemplatePath(node.args[0], scopes);
+        if (!isTemplateTruthy(list)) {
+          return renderTemplateNodes(node.inverse, scopes);
+        }
+        return Array.from(list).map((item, index) => renderTemplateNodes(node.children, [
+          ...scopes,
+          { value: item, meta: { index, first: index === 0, last: index === list.length - 1 } }
+        ])).join('');
+      }
+      case 'region': {
+        // Values from the data are slugified to the characters markers allow
+        const id = node.args
+          .map(arg => arg.startsWith('"')
+            ? arg.slice(1, -1)
+            : String(resolveTemplatePath(arg, scopes) ?? '').replace(/[^\w-]+/g, '-'))
+          .join('');
+        return wrapManagedRegion(id, renderTemplateNodes(node.children, scopes));
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * @param {string|Object} template - Template source or a compiled template
+ * @param {Object} model - Data model from buildNoteModel
+ */
+function renderTemplate(template, model) {
+  const compiled = typeof template === 'string' ? compileTemplate(template) : template;
+  return renderTemplateNodes(compiled.children, [{ value: model }]);
+}
+
+async function loadTemplate(templatePath) {
+  try {
+    return compileTemplate(await fs.readFile(path.resolve(templatePath), 'utf8'));
+  } catch (error) {
+    throw new TemplateError(`Failed to load note template: ${error.message}`, {
+      file: templatePath,
+      cause: error
+    });
+  }
+}
+
+// ==================== Managed Regions ====================
+/**
+ * Generated content is wrapped in HTML comment markers so a re-sync can
+ * rewrite it while leaving anything the user added around it untouched.
+ * Markers are invisible in Obsidian's reading view.
+ */
+const REGION_PATTERN = /<!-- dayflow:start ([\w-]+) -->\n([\s\S]*?)<!-- dayflow:end \1 -->\n\n?/g;
+const FRONTMATTER_PATTERN = /^---\n([\s\S]*?)\n---\n/;
+
+function wrapManagedRegion(id, content) {
+  if (!content) {
+    return '';
+  }
+  return `<!-- dayflow:start ${id} -->\n${content.trimEnd()}\n<!-- dayflow:end ${id} -->\n\n`;
+}
+
+/**
+ * Splits a note into its frontmatter object and body.
+ * Loaded with the core schema so user values such as dates round-trip as written.
+ */
+function parseNote(content, logger = SILENT_LOGGER) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { frontmatter: null, body: content };
+  }
+
+  let frontmatter = null;
+  try {
+    const parsed = yaml.load(match[1], { schema: yaml.CORE_SCHEMA });
+    frontmatter = parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    logger.warn(`  ⚠ Could not parse existing frontmatter: ${error.message}`);
+  }
+
+  return { frontmatter, body: content.slice(match[0].length) };
+}
+
+/**
+ * Breaks a note body into managed regions and the free-form text between them.
+ * @returns {Array<{ id?: string, text: string }>} Segments in document order
+ */
+function splitManagedRegions(body) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of body.matchAll(REGION_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: body.slice(lastIndex, match.index) });
+    }
+    segments.push({ id: match[1], text: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < body.length) {
+    segments.push({ text: body.slice(lastIndex) });
+  }
+
+  return segments;
+}
+
+// Every frontmatter key each kind of note can be generated with, including
+// keys written only sometimes (timezone). The first key names the kind.
+const GENERATED_FRONTMATTER_KEYS = [
+  [
+    'dayflow_day', 'day_boundary', 'timezone', 'total_cards', 'total_minutes', 'untracked_minutes',
+    'categories', 'devices', 'has_journal', 'journal_status', 'goals_total', 'goals_completed', 'goals_carried_over',
+    'card_ids', 'card_hashes',
+    'created_at', 'updated_at', 'tags'
+  ],
+  ['dayflow_index', 'name', 'total_minutes', 'total_cards', 'days', 'created_at', 'updated_at', 'tags'],
+  [
+    'dayflow_period', 'period_type', 'period_start', 'period_end', 'days_tracked', 'total_cards',
+    'total_minutes', 'categories', 'created_at', 'updated_at', 'tags'
+  ],
+  [
+    'dayflow_stats', 'period_start', 'period_end', 'days_tracked', 'total_minutes', 'focus_minutes',
+    'distraction_ratio', 'created_at', 'updated_at', 'tags'
+  ]
+];
+
+/**
+ * Keeps frontmatter keys the user added, after the generated ones. Keys the
+ * generator owns are dropped from the existing note even when this run
+ * didn't write them, so a key that is no longer generated doesn't go stale.
+ */
+function mergeFrontmatter(generated, existing) {
+  const owned = new Set([
+    ...Object.keys(generated),
+    ...(GENERATED_FRONTMATTER_KEYS.find(([kind]) => kind in generated) ?? [])
+  ]);
+  const merged = { ...generated };
+  for (const [key, value] of Object.entries(existing || {})) {
+    if (!owned.has(key)) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Rewrites the managed regions of an existing note with freshly generated ones.
+ *
+ * - Regions present in both are replaced in place
+ * - Regions that are no longer generated (e.g. a deleted card) are removed
+ * - New regions are inserted after the region that precedes them in the
+ *   generated note
+ * - Everything outside the markers is kept as-is
+ *
+ * Notes written before managed regions existed have no markers; their body is
+ * replaced wholesale, but user frontmatter keys are still carried over.
+ */
+function mergeWithExistingNote(generatedContent, existingContent, logger = SILENT_LOGGER) {
+  const generated = parseNote(generatedContent);
+  const existing = parseNote(existingContent, logger);
+
+  const frontmatter = mergeFrontmatter(generated.frontmatter, existing.frontmatter);
+  const header = '---\n' + yaml.dump(frontmatter) + '---\n';
+
+  const generatedRegions = splitManagedRegions(generated.body).filter(segment => segment.id);
+  const existingSegments = splitManagedRegions(existing.body);
+
+  if (!existingSegments.some(segment => segment.id)) {
+    return header + generated.body;
+  }
+
+  const segments = mergeManagedSegments(existingSegments, generatedRegions);
+  return header + segments.map(segment => segment.text).join('');
+}
+
+/**
+ * Core of the region merge, shared by markdown notes and Logseq pages.
+ * Existing managed segments are replaced or dropped, new ones are inserted
+ * after their generated predecessor, unmanaged segments stay where they are.
+ *
+ * @param {Array<{ id?: string, text: string }>} existingSegments
+ * @param {Array<{ id: string, text: string }>} generatedRegions - In generated order
+ */
+function mergeManagedSegments(existingSegments, generatedRegions) {
+  const regionText = new Map(generatedRegions.map(region => [region.id, region.text]));
+  const segments = existingSegments
+    .filter(segment => !segment.id || regionText.has(segment.id))
+    .map(segment => segment.id ? { id: segment.id, text: regionText.get(segment.id) } : segment);
+
+  generatedRegions.forEach((region, index) => {
+    if (segments.some(segment => segment.id === region.id)) {
+      return;
+    }
+
+    const previousId = generatedRegions[index - 1]?.id;
+    const previousIndex = previousId
+      ? segments.findIndex(segment => segment.id === previousId)
+      : -1;
+    if (previousIndex !== -1) {
+      segments.splice(previousIndex + 1, 0, region);
+      return;
+    }
+
+    const firstRegionIndex = segments.findIndex(segment => segment.id);
+    segments.splice(firstRegionIndex === -1 ? segments.length : firstRegionIndex, 0, region);
+  });
+
+  return segments;
+}
+
+// ==================== Logseq Output ====================
+/**
+ * Logseq journal pages are user pages too, so Dayflow only owns:
+ * - page properties prefixed with `dayflow-`
+ * - top-level blocks tagged with a `dayflow-section:: <id>` property
+ * Every other property and block on the page is left untouched.
+ */
+const LOGSEQ_PROPERTY_PATTERN = /^([\w-]+):: ?(.*)$/;
+const LOGSEQ_SECTION_PATTERN = /^\s+dayflow-section:: ([\w-]+)\s*$/m;
+
+function generateLogseqFilename(dayString) {
+  return path.join('journals', `${dayString.replace(/-/g, '_')}.md`);
+}
+
+/**
+ * One outliner block; continuation lines of multi-line text are indented to
+ * the block's content column as Logseq expects.
+ */
+function logseqBlock(text, depth = 0, properties = {}) {
+  const indent = '\t'.repeat(depth);
+  const [first, ...rest] = String(text).split('\n');
+  const propertyLines = Object.entries(properties).map(([key, value]) => `${key}:: ${value}`);
+
+  return [
+    `${indent}- ${first}`,
+    ...[...propertyLines, ...rest].map(line => `${indent}  ${line}`)
+  ].join('\n') + '\n';
+}
+
+// Free text such as journal goals becomes one child block per line
+function logseqTextBlocks(text, depth) {
+  return String(text)
+    .split('\n')
+    .map(line => line.trim().replace(/^[-*+]\s+/, ''))
+    .filter(Boolean)
+    .map(line => logseqBlock(line, depth))
+    .join('');
+}
+
+function logseqSection(id, heading, children) {
+  if (!children) {
+    return null;
+  }
+  return { id, text: logseqBlock(heading, 0, { 'dayflow-section': id }) + children };
+}
+
+function generateLogseqCardBlock(card) {
+  const gap = card.gapBefore
+    ? logseqBlock(`**${card.gapBefore.start} - ${card.gapBefore.end}** Untracked (${card.gapBefore.minutes} minutes)`, 1)
+    : '';
+  const category = [card.category || 'Uncategorized', card.subcategory].filter(Boolean).join(' / ');
+  const summary = card.detailed_summary || card.summary;
+
+  return gap + logseqBlock(`**${card.start} - ${card.end}** ${card.title}`, 1) +
+    logseqBlock(`Category: ${category}`, 2) +
+    (card.device ? logseqBlock(`Device: ${card.device}`, 2) : '') +
+    (card.apps.length > 0 ? logseqBlock(`Apps: ${card.apps.join(', ')}`, 2) : '') +
+    logseqBlock(`Duration: ${card.duration} minutes`, 2) +
+    (summary ? logseqBlock(summary, 2) : '') +
+    (card.videoEmbed ? logseqBlock(`Video summary: ${card.videoEmbed}`, 2)
+      : card.videoLink ? logseqBlock(`Video summary: [View](${card.videoLink})`, 2)
+      : '');
+}
+
+// A goal as a TODO/DONE block, with the cards that worked on it as children
+function generateLogseqGoalBlock(goal) {
+  return logseqBlock(`${goal.completed ? 'DONE' : 'TODO'} ${goal.text}${goal.minutes ? ` — ${goal.minutes} min` : ''}`, 2) +
+    goal.cards.map(card => logseqBlock(`${card.start} - ${card.end}: ${card.title}`, 3)).join('');
+}
+
+/**
+ * Renders the note model (see buildNoteModel) as Logseq page properties and
+ * top-level outliner blocks.
+ * @returns {{ properties: Object, blocks: Array<{ id: string, text: string }> }}
+ */
+function generateLogseqPage(model) {
+  const { journal, cards, totals, sections } = model;
+
+  const properties = {
+    'dayflow-day': model.day.date,
+    'dayflow-total-cards': totals.cards,
+    'dayflow-total-minutes': totals.minutes,
+    'dayflow-categories': model.categories.join(', '),
+    'dayflow-card-ids': model.cards.map(card => card.id).join(', '),
+    'dayflow-card-hashes': Object.entries(model.cardHashes).map(([id, hash]) => `${id}:${hash}`).join(', ')
+  };
+  if (journal?.status) {
+    properties['dayflow-journal-status'] = journal.status;
+  }
+  if (model.devices) {
+    properties['dayflow-devices'] = model.devices.join(', ');
+  }
+
+  const journalChildren = [
+    journal?.intentions && logseqBlock('Morning Intentions', 1) + logseqTextBlocks(journal.intentions, 2),
+    model.goals.length > 0 && logseqBlock('Daily Goals', 1) + model.goals.map(generateLogseqGoalBlock).join(''),
+    model.carriedOver.length > 0 && logseqBlock('Carried Over', 1) +
+      model.carriedOver.map(goal => generateLogseqGoalBlock({ ...goal, text: `${goal.text} *(from ${goal.from})*` })).join(''),
+    journal?.notes && logseqBlock('Journal Notes', 1) + logseqTextBlocks(journal.notes, 2)
+  ].filter(Boolean).join('');
+
+  const reflectionChildren = [
+    journal?.reflections && logseqBlock('Evening Reflection', 1) + logseqTextBlocks(journal.reflections, 2),
+    journal?.summary && logseqBlock('AI Summary', 1) + logseqTextBlocks(journal.summary, 2)
+  ].filter(Boolean).join('');
+
+  const blocks = [
+    sections.summary && logseqSection('summary', `## Dayflow: ${model.day.title}`,
+      logseqBlock(`**Total tracked time**: ${totals.hours} hours (${totals.minutes} minutes)`, 1) +
+      logseqBlock(`**Categories**: ${totals.categoryPercentages || 'None'}`, 1) +
+      logseqBlock(`**Timeline cards**: ${totals.cards}`, 1) +
+      (model.gaps.length > 0
+        ? logseqBlock(`**Untracked time**: ${totals.untrackedHours} hours (${totals.untrackedMinutes} minutes)`, 1)
+        : '')),
+    model.changes && logseqSection('changes', '## Changes Since Last Sync',
+      model.changes.total > 0
+        ? [
+            ...model.changes.added.map(card => logseqBlock(`**Added** ${card.start} - ${card.end}: ${card.title}`, 1)),
+            ...model.changes.rewritten.map(card => logseqBlock(`**Rewritten** ${card.start} - ${card.end}: ${card.title}`, 1)),
+            ...model.changes.removed.map(card => logseqBlock(`**Removed** ${card.start ? `${card.start} - ${card.end}` : `card ${card.id}`} *(${card.reason})*`, 1))
+          ].join('')
+        : logseqBlock('*No card changes*', 1)),
+    sections.journal && logseqSection('journal', '## Journal', journalChildren),
+    sections.timeline && logseqSection('timeline', '## Timeline',
+      cards.length > 0
+        ? cards.map(generateLogseqCardBlock).join('')
+        : logseqBlock('*No timeline cards for this day*', 1)),
+    sections.reflection && logseqSection('reflection', '## Reflection', reflectionChildren),
+    sections.distractions && logseqSection('distractions', '## Distractions Log',
+      model.distractions.length > 0
+        ? model.distractions.map(d =>
+          logseqBlock(`**${d.startTime} - ${d.endTime}**: ${d.title}`, 1) +
+          (d.summary ? logseqBlock(d.summary, 2) : '')).join('')
+        : logseqBlock('*No distractions recorded today* ✨', 1)),
+    sections.appUsage && logseqSection('app-usage', '## App Usage Summary',
+      model.appUsage.length > 0
+        ? model.appUsage.map(({ app, sessions, totalMinutes }) =>
+          logseqBlock(`${app} (${sessions} sessions, ${totalMinutes} min)`, 1)).join('')
+        : logseqBlock('*No app usage recorded*', 1))
+  ].filter(Boolean);
+
+  return { properties, blocks };
+}
+
+/**
+ * Splits a Logseq page into its leading page-property lines and top-level
+ * blocks; blocks carrying a dayflow-section property get that id.
+ */
+function parseLogseqPage(content) {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  const properties = [];
+  while (lines.length > 0 && LOGSEQ_PROPERTY_PATTERN.test(lines[0])) {
+    properties.push(lines.shift());
+  }
+
+  const segments = [];
+  lines.forEach(line => {
+    const startsBlock = /^-( |$)/.test(line);
+    const current = segments[segments.length - 1];
+    if (startsBlock || !current) {
+      segments.push({ text: line + '\n' });
+    } else {
+      current.text += line + '\n';
+    }
+  });
+
+  segments.forEach(segment => {
+    const match = segment.text.match(LOGSEQ_SECTION_PATTERN);
+    if (match && /^- /.test(segment.text)) {
+      segment.id = match[1];
+    }
+  });
+
+  return { properties, segments };
+}
+
+/**
+ * Writes Dayflow's properties and blocks into a (possibly existing) journal
+ * page without disturbing anything else on it.
+ */
+function mergeLogseqPage(generated, existingContent) {
+  const existing = parseLogseqPage(existingContent || '');
+  const remaining = new Map(Object.entries(generated.properties));
+
+  const propertyLines = existing.properties.flatMap(line => {
+    const [, key] = line.match(LOGSEQ_PROPERTY_PATTERN);
+    if (!key.startsWith('dayflow-')) {
+      return [line];
+    }
+    if (!remaining.has(key)) {
+      return [];
+    }
+    const value = remaining.get(key);
+    remaining.delete(key);
+    return [`${key}:: ${value}`];
+  });
+  remaining.forEach((value, key) => propertyLines.push(`${key}:: ${value}`));
+
+  const segments = mergeManagedSegments(existing.segments, generated.blocks);
+  const header = propertyLines.length > 0 ? propertyLines.join('\n') + '\n\n' : '';
+  const body = segments.map(segment => segment.text).join('').replace(/^\n+/, '');
+
+  return header + body;
+}
+
+// ==================== Index Pages ====================
+/**
+ * With --wikilinks every app, category and subcategory gets a page under the
+ * index folder listing the days and cards that mention it. Pages only cover
+ * days that have a daily note in the output directory, so every link resolves.
+ */
+const INDEX_KINDS = {
+  app: { folder: 'Apps', label: 'App' },
+  category: { folder: 'Categories', label: 'Category' },
+  subcategory: { folder: 'Subcategories', label: 'Subcategory' }
+};
+
+// Characters Obsidian doesn't allow in filenames or that break link syntax
+function sanitizePageName(name) {
+  return String(name).replace(/[\\/:*?"<>|#^[\]]/g, '-').trim();
+}
+
+function getIndexPagePath(kind, name, indexFolder) {
+  return path.join(indexFolder, INDEX_KINDS[kind].folder, `${sanitizePageName(name)}.md`);
+}
+
+// The alias ends at the first "|" or "]]", so those can't appear in it
+function sanitizeLinkAlias(name) {
+  return String(name).replace(/\|/g, '-').replace(/[[\]]/g, '');
+}
+
+function generateWikilink(kind, name, indexFolder) {
+  const target = [indexFolder, INDEX_KINDS[kind].folder, sanitizePageName(name)].join('/');
+  return `[[${target}|${sanitizeLinkAlias(name)}]]`;
+}
+
+/**
+ * Days that already have a daily note, found by matching the filename pattern.
+ */
+async function listNoteDays(directory, filenamePattern) {
+  const [prefix, suffix] = filenamePattern.split('{date}').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`^${prefix}(\\d{4}-\\d{2}-\\d{2})${suffix}$`);
+
+  try {
+    const files = await fs.readdir(directory);
+    return files
+      .map(file => file.match(pattern)?.[1])
+      .filter(Boolean)
+      .sort()
+      .reverse();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Groups each day's cards by the apps, categories and subcategories they
+ * reference. App minutes and sessions come from aggregateAppUsage, category
+ * minutes from calculateCategoryMinutes, so totals match the daily notes.
+ */
+function buildLinkIndex(db, days, settings) {
+  const index = new Map();
+
+  const addEntry = (kind, name, dayString, minutes, sessions, dayCards) => {
+    const key = `${kind}:${name}`;
+    if (!index.has(key)) {
+      index.set(key, { kind, name, totalMinutes: 0, sessions: 0, days: [] });
+    }
+    const entry = index.get(key);
+    entry.totalMinutes += minutes;
+    entry.sessions += sessions;
+    entry.days.push({ dayString, minutes, cards: dayCards });
+  };
+
+  days.forEach(dayString => {
+    const cards = fetchDayCards(db, dayString, settings).cards;
+
+    aggregateAppUsage(cards).forEach(({ app, sessions, totalMinutes }) => {
+      const appCards = cards.filter(card => {
+        const { appSites } = parseMetadata(card.metadata);
+        return appSites?.primary === app || appSites?.secondary === app;
+      });
+      addEntry('app', app, dayString, totalMinutes, sessions, appCards);
+    });
+
+    Object.entries(calculateCategoryMinutes(cards))
+      .filter(([category]) => category !== 'Uncategorized')
+      .forEach(([category, minutes]) => {
+        const categoryCards = cards.filter(card => card.category === category);
+        addEntry('category', category, dayString, minutes, categoryCards.length, categoryCards);
+      });
+
+    const subcategories = [...new Set(cards.map(card => card.subcategory).filter(Boolean))];
+    subcategories.forEach(subcategory => {
+      const subcategoryCards = cards.filter(card => card.subcategory === subcategory);
+      addEntry('subcategory', subcategory, dayString, calculateTotalMinutes(subcategoryCards), subcategoryCards.length, subcategoryCards);
+    });
+  });
+
+  return Array.from(index.values());
+}
+
+function generateIndexPage(entry, settings, existingCreatedAt = null) {
+  const { kind, name, totalMinutes, sessions, days } = entry;
+  const { label } = INDEX_KINDS[kind];
+
+  const frontmatter = {
+    dayflow_index: kind,
+    name: name,
+    total_minutes: totalMinutes,
+    total_cards: sessions,
+    days: days.length,
+    created_at: existingCreatedAt || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    tags: ['dayflow', `dayflow-${kind}`]
+  };
+
+  const summary = `# ${name}
+
+**Type**: ${label}
+**Total tracked time**: ${(totalMinutes / 60).toFixed(1)} hours (${totalMinutes} minutes)
+**Cards**: ${sessions} across ${days.length} day${days.length === 1 ? '' : 's'}
+
+---
+`;
+
+  const dayItems = days.map(({ dayString, minutes, cards }) => {
+    const noteName = generateFilename(dayString, settings).replace(/\.md$/, '');
+    const cardItems = cards.map(card =>
+      `- ${card.start} - ${card.end} · ${card.title} (${calculateDuration(card.start_ts, card.end_ts)} min)`);
+    return `### [[${noteName}|${formatDayString(dayString)}]] · ${minutes} min\n${cardItems.join('\n')}\n`;
+  });
+
+  return '---\n' + yaml.dump(frontmatter) + '---\n\n' +
+    wrapManagedRegion('summary', summary) +
+    wrapManagedRegion('days', `## Days\n\n${dayItems.join('\n')}`);
+}
+
+/**
+ * Rebuilds the index pages after a run that changed at least one daily note.
+ */
+async function syncIndexPages(db, changedDays, settings, changes = []) {
+  const { outputDir } = settings;
+  const counts = { created: 0, updated: 0 };
+  if (!settings.force && changedDays.size === 0) {
+    return counts;
+  }
+
+  // A dry run hasn't written the new daily notes, so add them to the ones on disk
+  const noteDays = [...new Set([...await listNoteDays(outputDir, settings.filenamePattern), ...changedDays])]
+    .sort()
+    .reverse();
+  const entries = buildLinkIndex(db, noteDays, settings);
+
+  for (const entry of entries) {
+    const filename = getIndexPagePath(entry.kind, entry.name, settings.indexFolder);
+    const existingContent = await readExistingNote(path.join(outputDir, filename));
+    const existingCreatedAt = getExistingCreatedAt(existingContent);
+
+    let markdown = generateIndexPage(entry, settings, existingCreatedAt);
+    if (existingContent) {
+      markdown = mergeWithExistingNote(markdown, existingContent, settings.logger);
+    }
+
+    const change = await writeNote(filename, markdown, settings);
+    if (change.action === 'unchanged') {
+      continue;
+    }
+    if (settings.dryRun) {
+      changes.push({ ...change, reason: existingContent ? 'daily notes changed' : 'new note' });
+    }
+    counts[existingContent ? 'updated' : 'created']++;
+  }
+
+  return counts;
+}
+
+// ==================== Rollup Notes ====================
+/**
+ * Returns the ISO week and calendar month a day belongs to.
+ * Keys double as filename suffixes: Dayflow_2025-W51.md, Dayflow_2025-12.md
+ */
+function getRollupPeriods(dayString) {
+  const date = parseISO(dayString);
+  const week = String(getISOWeek(date)).padStart(2, '0');
+
+  return [
+    {
+      type: 'week',
+      key: `${getISOWeekYear(date)}-W${week}`,
+      start: startOfISOWeek(date),
+      end: endOfISOWeek(date)
+    },
+    {
+      type: 'month',
+      key: format(date, 'yyyy-MM'),
+      start: startOfMonth(date),
+      end: endOfMonth(date)
+    }
+  ];
+}
+
+function collectRollupPeriods(dates) {
+  const periods = new Map();
+  dates.forEach(dayString => {
+    getRollupPeriods(dayString).forEach(period => {
+      if (!periods.has(period.key)) {
+        periods.set(period.key, period);
+      }
+    });
+  });
+  return Array.from(periods.values());
+}
+
+/**
+ * Days of a period up to the current Dayflow day (future days have no data).
+ */
+function getPeriodDays(period, boundary) {
+  const today = getDayForDate(new Date(), boundary);
+  return eachDayOfInterval({ start: period.start, end: period.end })
+    .map(date => format(date, 'yyyy-MM-dd'))
+    .filter(dayString => dayString <= today);
+}
+
+function formatPeriodTitle(period) {
+  if (period.type === 'week') {
+    return `Week ${getISOWeek(period.start)}, ${getISOWeekYear(period.start)}`;
+  }
+  return format(period.start, 'MMMM yyyy');
+}
+
+function generateRollupFrontmatter(period, days, existingCreatedAt = null) {
+  const cards = days.flatMap(day => day.cards);
+  const categories = extractCategories(cards);
+
+  const frontmatter = {
+    dayflow_period: period.key,
+    period_type: period.type,
+    period_start: format(period.start, 'yyyy-MM-dd'),
+    period_end: format(period.end, 'yyyy-MM-dd'),
+    days_tracked: days.filter(day => day.cards.length > 0).length,
+    total_cards: cards.length,
+    total_minutes: calculateTotalMinutes(cards),
+    categories: categories,
+    created_at: existingCreatedAt || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    tags: ['dayflow', 'rollup', period.type === 'week' ? 'weekly' : 'monthly', ...categories.map(c => c.toLowerCase())]
+  };
+
+  return '---\n' + yaml.dump(frontmatter) + '---\n';
+}
+
+function generateRollupSummary(period, days) {
+  const cards = days.flatMap(day => day.cards);
+  const totalMinutes = calculateTotalMinutes(cards);
+  const hours = (totalMinutes / 60).toFixed(1);
+  const daysTracked = days.filter(day => day.cards.length > 0).length;
+  const distractionCount = extractAllDistractions(cards).length;
+
+  return `# Dayflow: ${formatPeriodTitle(period)}
+*${formatDayString(format(period.start, 'yyyy-MM-dd'))} – ${formatDayString(format(period.end, 'yyyy-MM-dd'))}*
+
+## Summary
+**Total tracked time**: ${hours} hours (${totalMinutes} minutes)
+**Days tracked**: ${daysTracked} of ${days.length}
+**Categories**: ${formatCategoryPercentages(cards) || 'None'}
+**Timeline cards**: ${cards.length}
+**Distractions**: ${distractionCount}
+
+---
+`;
+}
+
+// A relative path as a markdown link target. encodeURI leaves parentheses
+// alone, but an unbalanced one ends the link early
+function encodeLinkPath(file) {
+  return encodeURI(file).replace(/[()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function generateDailyBreakdownSection(days, settings) {
+  const rows = days.map(({ dayString, cards }) => {
+    const label = format(parseISO(dayString), 'EEE, MMM d');
+
+    if (cards.length === 0) {
+      return `| ${label} | — | 0 | — | 0 |`;
+    }
+
+    const totalMinutes = calculateTotalMinutes(cards);
+    const [topCategory] = Object.entries(calculateCategoryMinutes(cards))
+      .sort((a, b) => b[1] - a[1]);
+    const distractionCount = extractAllDistractions(cards).length;
+
+    return `| [${label}](${encodeLinkPath(generateFilename(dayString, settings))}) | ${(totalMinutes / 60).toFixed(1)}h | ${cards.length} | ${topCategory[0]} | ${distractionCount} |`;
+  });
+
+  return `## Daily Breakdown
+| Day | Tracked | Cards | Top category | Distractions |
+| --- | --- | --- | --- | --- |
+${rows.join('\n')}
+
+---
+`;
+}
+
+function generateTopAppsSection(cards, limit = 10) {
+  return formatTopAppsSection(aggregateAppUsage(cards).slice(0, limit));
+}
+
+function formatTopAppsSection(appUsage) {
+  if (appUsage.length === 0) {
+    return '## Top Apps\n*No app usage recorded*\n';
+  }
+
+  const items = appUsage.map(({ app, sessions, totalMinutes }) => {
+    return `- ${app} (${sessions} sessions, ${totalMinutes} min)`;
+  });
+
+  return `## Top Apps\n${items.join('\n')}\n`;
+}
+
+/**
+ * @param {Object} period - From getRollupPeriods
+ * @param {Array<{ dayString: string, cards: Array }>} days - Every day of the period so far
+ */
+function generateRollupNote(period, days, settings, existingCreatedAt = null) {
+  const cards = days.flatMap(day => day.cards);
+  const frontmatter = generateRollupFrontmatter(period, days, existingCreatedAt);
+  const summary = wrapManagedRegion('summary', generateRollupSummary(period, days));
+  const breakdown = wrapManagedRegion('daily-breakdown', generateDailyBreakdownSection(days, settings));
+  const topApps = wrapManagedRegion('top-apps', generateTopAppsSection(cards));
+
+  return frontmatter + '\n' + summary + breakdown + topApps;
+}
+
+// ==================== Exporters ====================
+/**
+ * The normalized day shared by the non-markdown exporters: cards with parsed
+ * metadata and durations, the journal entry, and computed totals.
+ */
+function buildDayExport(dayString, cards, journal, settings) {
+  const gaps = findUntrackedGaps(cards, settings.gapThreshold);
+
+  return {
+    day: dayString,
+    day_boundary: formatBoundaryHour(settings.dayStartHour),
+    ...(settings.timezone && { timezone: settings.timezone }),
+    totals: {
+      minutes: calculateTotalMinutes(cards),
+      cards: cards.length,
+      category_minutes: calculateCategoryMinutes(cards),
+      untracked_minutes: gaps.reduce((sum, gap) => sum + gap.minutes, 0)
+    },
+    categories: extractCategories(cards),
+    ...(getDayDevices(cards, journal, settings) && { devices: getDayDevices(cards, journal, settings) }),
+    journal: journal || null,
+    goals: trackGoals(parseGoals(journal?.goals), cards, settings)
+      .map(({ text, tags, completed, minutes, cards: goalCards }) => ({ text, tags, completed, minutes, card_ids: goalCards.map(card => card.id) })),
+    cards: cards.map(card => {
+      const { metadata, ...columns } = card;
+      return {
+        ...columns,
+        duration_minutes: calculateDuration(card.start_ts, card.end_ts),
+        metadata: parseMetadata(metadata)
+      };
+    }),
+    app_usage: aggregateAppUsage(cards),
+    distractions: extractAllDistractions(cards),
+    untracked: gaps.map(({ start_ts, end_ts, minutes }) => ({
+      start_time: new Date(start_ts * 1000).toISOString(),
+      end_time: new Date(end_ts * 1000).toISOString(),
+      minutes
+    }))
+  };
+}
+
+function exportDayJson(dayString, cards, journal, settings) {
+  return JSON.stringify(buildDayExport(dayString, cards, journal, settings), null, 2) + '\n';
+}
+
+const CSV_COLUMNS = [
+  'day', 'id', 'batch_id', 'start', 'end', 'start_time', 'end_time', 'duration_minutes',
+  'category', 'subcategory', 'title', 'summary', 'primary_app', 'secondary_app',
+  'distractions', 'video_summary_url'
+];
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per card. start_time/end_time are ISO 8601 so spreadsheets can
+ * sort and do date math on them. Cards from several databases add a
+ * trailing device column.
+ */
+function exportDayCsv(dayString, cards) {
+  const columns = cards.some(card => card.device) ? [...CSV_COLUMNS, 'device'] : CSV_COLUMNS;
+  const rows = cards.map(card => {
+    const metadata = parseMetadata(card.metadata);
+    const row = {
+      day: dayString,
+      id: card.id,
+      batch_id: card.batch_id,
+      start: card.start,
+      end: card.end,
+      start_time: new Date(card.start_ts * 1000).toISOString(),
+      end_time: new Date(card.end_ts * 1000).toISOString(),
+      duration_minutes: calculateDuration(card.start_ts, card.end_ts),
+      category: card.category,
+      subcategory: card.subcategory,
+      title: card.title,
+      summary: card.detailed_summary || card.summary,
+      primary_app: metadata.appSites?.primary,
+      secondary_app: metadata.appSites?.secondary,
+      distractions: metadata.distractions.length,
+      video_summary_url: card.video_summary_url,
+      device: card.device
+    };
+    return columns.map(column => escapeCsvValue(row[column])).join(',');
+  });
+
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function formatIcsDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 limits content lines to 75 octets; longer lines continue after CRLF + space
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * One VEVENT per card, in UTC. UIDs derive from the card id so re-importing
+ * an updated file replaces events instead of duplicating them.
+ */
+function exportDayIcs(dayString, cards) {
+  const events = cards.flatMap(card => {
+    const metadata = parseMetadata(card.metadata);
+    const apps = [metadata.appSites?.primary, metadata.appSites?.secondary].filter(Boolean);
+    const description = [
+      card.detailed_summary || card.summary,
+      apps.length > 0 ? `Apps: ${apps.join(', ')}` : null,
+      card.subcategory ? `Subcategory: ${card.subcategory}` : null,
+      card.device ? `Device: ${card.device}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:dayflow-card-${card.id}@dayflow-sync`,
+      `DTSTAMP:${formatIcsDate(card.start_ts)}`,
+      `DTSTART:${formatIcsDate(card.start_ts)}`,
+      `DTEND:${formatIcsDate(card.end_ts)}`,
+      `SUMMARY:${escapeIcsText(card.title || 'Untitled')}`,
+      description ? `DESCRIPTION:${escapeIcsText(description)}` : null,
+      card.category ? `CATEGORIES:${escapeIcsText(card.category)}` : null,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ].filter(Boolean);
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//dayflow-sync//Dayflow Timeline//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:Dayflow ${dayString}`,
+    ...events,
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Markdown is generated separately because it merges into the existing note
+const EXPORTERS = {
+  json: exportDayJson,
+  csv: exportDayCsv,
+  ics: exportDayIcs
+};
+
+// ==================== Diff ====================
+const DIFF_CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  return text.endsWith('\n') ? lines.slice(0, -1) : lines;
+}
+
+/**
+ * Line diff of two texts as [{ type: ' '|'-'|'+', line }]. The common prefix
+ * and suffix are trimmed before the LCS table is built, so regenerating a
+ * note with a few changed regions stays cheap.
+ */
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  // lcs[i][j]: longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  return ops.concat(oldLines.slice(oldEnd).map(line => ({ type: ' ', line })));
+}
+
+/**
+ * Unified diff (as printed by `diff -u`) between a file's current content and
+ * what a sync would write. `oldText` is null for a file that doesn't exist yet.
+ */
+function createUnifiedDiff(oldText, newText, filename, context = DIFF_CONTEXT_LINES) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops.flatMap((op, index) => op.type === ' ' ? [] : [index]);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Changes closer together than two contexts share a hunk
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [
+    `--- ${oldText === null ? '/dev/null' : `a/${filename}`}`,
+    `+++ b/${filename}`
+  ];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length, hunk.end + context + 1);
+    const before = ops.slice(0, from);
+    const body = ops.slice(from, to);
+    const oldBefore = before.filter(op => op.type !== '+').length;
+    const newBefore = before.filter(op => op.type !== '-').length;
+    const oldCount = body.filter(op => op.type !== '+').length;
+    const newCount = body.filter(op => op.type !== '-').length;
+
+    lines.push(`@@ -${oldCount === 0 ? oldBefore : oldBefore + 1},${oldCount} +${newCount === 0 ? newBefore : newBefore + 1},${newCount} @@`);
+    body.forEach(op => lines.push(`${op.type}${op.line}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ==================== File Operations ====================
+function generateFilename(dayString, settings, outputFormat = 'markdown') {
+  if (outputFormat === 'markdown' && settings.target === 'logseq') {
+    return generateLogseqFilename(dayString);
+  }
+  return settings.filenamePattern
+    .replace('{date}', dayString)
+    .replace(/\.md$/, `.${OUTPUT_FORMATS[outputFormat]}`);
+}
+
+async function findExistingNoteByDay(dayString, settings, outputFormat = 'markdown') {
+  const filename = generateFilename(dayString, settings, outputFormat);
+  const filePath = path.join(settings.outputDir, filename);
+
+  // Logseq journal pages usually exist before the first sync; only pages
+  // Dayflow has already written to count as existing notes
+  if (outputFormat === 'markdown' && settings.target === 'logseq') {
+    const content = await readExistingNote(filePath);
+    return content && /^dayflow-day::/m.test(content) ? filePath : null;
+  }
+
+  try {
+    await fs.access(filePath);
+    return filePath; // File exists
+  } catch {
+    return null; // File doesn't exist
+  }
+}
+
+async function readExistingNote(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null; // File doesn't exist or can't be read
+  }
+}
+
+// Read existing note's created_at from frontmatter (for preserving timestamps on updates)
+function getExistingCreatedAt(existingContent) {
+  const match = existingContent?.match(/created_at:\s*['"]?([^'"\n]+)['"]?/);
+  return match ? match[1].trim() : null;
+}
+
+async function readSyncState(directory) {
+  try {
+    const state = JSON.parse(await fs.readFile(path.join(directory, CONFIG.stateFilename), 'utf8'));
+    return state?.watermark ? state : null;
+  } catch {
+    return null; // No previous incremental run (or unreadable state)
+  }
+}
+
+async function writeSyncState(directory, state) {
+  const filePath = path.join(directory, CONFIG.stateFilename);
+  await replaceFile(filePath, tempPath => fs.writeFile(tempPath, JSON.stringify(state, null, 2) + '\n', 'utf8'));
+}
+
+/**
+ * Writes a file in full under a temporary name next to it, then renames it
+ * into place. Readers (and sync clients) see the old file or the new one,
+ * never half of it. The temp file starts with a dot so vaults ignore it.
+ *
+ * @param {string} filePath
+ * @param {Function} write - Writes the new contents to the path it is given
+ */
+async function replaceFile(filePath, write) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}-${randomBytes(4).toString('hex')}.tmp`
+  );
+
+  try {
+    await write(tempPath);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+async function saveNote(filename, content, directory) {
+  try {
+    const filePath = path.join(directory, filename);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await replaceFile(filePath, tempPath => fs.writeFile(tempPath, content, 'utf8'));
+    return filePath;
+  } catch (error) {
+    throw new WriteError(`Failed to save note: ${error.message}`, {
+      file: filename,
+      directory,
+      cause: error
+    });
+  }
+}
+
+// updated_at changes on every sync, so it doesn't count as a change on its own
+function stripUpdatedAt(content) {
+  return content.replace(/^updated_at: .*$/m, '');
+}
+
+/**
+ * Compares the generated content with the file on disk and describes the
+ * write it needs, without making it.
+ *
+ * @returns {Promise<{ file: string, action: 'create'|'update'|'unchanged', diff?: string }>}
+ */
+async function previewNote(filename, content, settings) {
+  const existingContent = await readExistingNote(path.join(settings.outputDir, filename));
+  if (existingContent !== null && stripUpdatedAt(existingContent) === stripUpdatedAt(content)) {
+    return { file: filename, action: 'unchanged' };
+  }
+
+  return {
+    file: filename,
+    action: existingContent === null ? 'create' : 'update',
+    ...(settings.diff && { diff: createUnifiedDiff(existingContent, content, filename) })
+  };
+}
+
+/**
+ * Saves a note unless it matches the file on disk (apart from updated_at),
+ * so unchanged notes keep their timestamp and don't churn sync clients.
+ * With dryRun it only previews the write.
+ *
+ * @returns {Promise<Object>} The preview (see previewNote); `action` is
+ *   'unchanged' when nothing was (or would be) written
+ */
+async function writeNote(filename, content, settings) {
+  const preview = await previewNote(filename, content, settings);
+  if (!settings.dryRun && preview.action !== 'unchanged') {
+    await saveNote(filename, content, settings.outputDir);
+  }
+  return preview;
+}
+
+/**
+ * Regenerates the week and month rollups touched by this run.
+ * A rollup is rewritten when it is missing, when --force is set, or when one
+ * of its daily notes changed; otherwise it is left alone like a complete day.
+ */
+async function syncRollupNotes(db, dates, changedDays, settings, changes = []) {
+  const { logger, force } = settings;
+  const counts = { created: 0, updated: 0, skipped: 0 };
+
+  for (const period of collectRollupPeriods(dates)) {
+    const filename = generateFilename(period.key, settings);
+
+    try {
+      const periodDays = getPeriodDays(period, settings);
+      const existingPath = await findExistingNoteByDay(period.key, settings);
+      const periodComplete = isDayComplete(format(period.end, 'yyyy-MM-dd'), settings);
+      const periodChanged = periodDays.some(dayString => changedDays.has(dayString));
+
+      if (!force && existingPath && !periodChanged) {
+        logger.log(`  ⊘ Skipped ${filename} (${periodComplete ? 'period complete' : 'no daily changes'}, note exists)`);
+        counts.skipped++;
+        continue;
+      }
+
+      const days = periodDays.map(dayString => ({
+        dayString,
+        cards: fetchDayCards(db, dayString, settings).cards
+      }));
+
+      if (days.every(day => day.cards.length === 0)) {
+        logger.log(`  ⊘ Skipped ${filename} (no data for this period)`);
+        counts.skipped++;
+        continue;
+      }
+
+      const existingContent = existingPath ? await readExistingNote(existingPath) : null;
+      const existingCreatedAt = !force ? getExistingCreatedAt(existingContent) : null;
+
+      let markdown = generateRollupNote(period, days, settings, existingCreatedAt);
+      if (existingContent) {
+        markdown = mergeWithExistingNote(markdown, existingContent, settings.logger);
+      }
+
+      const change = await writeNote(filename, markdown, settings);
+
+      if (change.action === 'unchanged') {
+        logger.log(`  ⊘ Skipped ${filename} (no changes)`);
+        counts.skipped++;
+      } else if (settings.dryRun) {
+        const reason = !existingPath ? 'new note' : force ? 'forced' : 'daily notes changed';
+        logger.log(`  ✓ Would ${change.action}: ${filename} (${reason})`);
+        changes.push({ ...change, period: period.key, reason });
+        counts[existingPath ? 'updated' : 'created']++;
+      } else if (existingPath) {
+        logger.log(`  ✓ Updated: ${filename}`);
+        counts.updated++;
+      } else {
+        logger.log(`  ✓ Created: ${filename}`);
+        counts.created++;
+      }
+    } catch (error) {
+      // An unwritable output directory fails every note; stop instead of repeating it
+      if (error instanceof WriteError) {
+        throw error;
+      }
+      logger.error(`  ✗ Error (${filename}): ${error.message}`);
+      counts.skipped++;
+    }
+  }
+
+  return counts;
+}
+
+// ==================== Video Attachments ====================
+// Named by day and card id, so a re-sync replaces a card's copy instead of adding one
+function getVideoAttachmentName(dayString, card) {
+  const extension = path.extname(card.video_summary_url).toLowerCase() || '.mp4';
+  return `${dayString}_card-${card.id}${extension}`;
+}
+
+async function statFile(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch {
+    return null; // Missing or unreadable
+  }
+}
+
+/**
+ * Copies the day's video summaries into the attachments folder and removes
+ * copies no note of that day refers to any more. A copy is kept, and still
+ * embedded, after Dayflow deletes the original recording. Under dryRun
+ * nothing is copied or removed; the planned changes are pushed to `changes`.
+ *
+ * @returns {Promise<Map<number, string>>} Card id → attachment path inside the output directory
+ */
+async function syncVideoAttachments(dayString, cards, settings, changes = []) {
+  const { logger, outputDir, attachmentsFolder, maxVideoSize, dryRun } = settings;
+  const directory = path.join(outputDir, attachmentsFolder);
+  const attachments = new Map();
+  let copied = 0;
+
+  for (const card of cards.filter(card => card.video_summary_url)) {
+    const name = getVideoAttachmentName(dayString, card);
+    const target = path.join(directory, name);
+    const file = `${attachmentsFolder}/${name}`;
+    const [source, existing] = await Promise.all([statFile(card.video_summary_url), statFile(target)]);
+
+    if (!source?.isFile()) {
+      if (existing) {
+        attachments.set(card.id, file);
+      } else {
+        logger.warn(`  ⚠ Video for card ${card.id} not found, not copied: ${card.video_summary_url}`);
+      }
+      continue;
+    }
+
+    if (source.size > maxVideoSize * 1024 * 1024) {
+      logger.warn(`  ⚠ Video for card ${card.id} is ${(source.size / 1024 / 1024).toFixed(1)} MB, over the ${maxVideoSize} MB limit; linking instead`);
+      continue;
+    }
+
+    attachments.set(card.id, file);
+    if (existing?.size === source.size) {
+      continue;
+    }
+
+    copied++;
+    if (dryRun) {
+      changes.push({ file, action: existing ? 'update' : 'create', day: dayString, reason: 'video attachment' });
+      continue;
+    }
+
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      await replaceFile(target, tempPath => fs.copyFile(card.video_summary_url, tempPath));
+    } catch (error) {
+      throw new WriteError(`Failed to copy video: ${error.message}`, {
+        file,
+        directory: outputDir,
+        cause: error
+      });
+    }
+  }
+
+  const pattern = new RegExp(`^${dayString}_card-[\\w-]+\\.\\w+$`);
+  const kept = new Set([...attachments.values()].map(file => path.basename(file)));
+  const unused = (await fs.readdir(directory).catch(() => []))
+    .filter(name => pattern.test(name) && !kept.has(name));
+
+  for (const name of unused) {
+    if (dryRun) {
+      changes.push({ file: `${attachmentsFolder}/${name}`, action: 'delete', day: dayString, reason: 'unused attachment' });
+    } else {
+      await fs.rm(path.join(directory, name), { force: true });
+    }
+  }
+
+  if (copied > 0) {
+    logger.log(`  ✓ ${dryRun ? 'Would copy' : 'Copied'} ${copied} video(s) to ${attachmentsFolder}/`);
+  }
+  if (unused.length > 0) {
+    logger.log(`  ✓ ${dryRun ? 'Would remove' : 'Removed'} ${unused.length} unused video attachment(s)`);
+  }
+
+  return attachments;
+}
+
+/**
+ * Markdown that embeds a copied video in a note. Logseq journal pages live in
+ * journals/, so their relative links climb out of it first.
+ */
+function generateVideoEmbed(file, settings) {
+  if (settings.target === 'obsidian' && settings.videoEmbed === 'wikilink') {
+    return `![[${file}]]`;
+  }
+  return `![Video summary](${encodeLinkPath(settings.target === 'logseq' ? `../${file}` : file)})`;
+}
+
+// ==================== Run Lock ====================
+// EPERM means the process exists but belongs to another user
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function readLock(lockPath) {
+  try {
+    const [content, stats] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+    let owner = null;
+    try {
+      owner = JSON.parse(content);
+    } catch {
+      // Not ours or cut short; judged by age alone
+    }
+    return { content, owner, modifiedAt: stats.mtimeMs };
+  } catch {
+    return null; // Released in the meantime
+  }
+}
+
+/**
+ * A lock is stale once its process has exited on this machine, or when it
+ * hasn't been refreshed for CONFIG.lockStaleMs (its holder crashed on
+ * another Mac sharing the folder, or froze).
+ */
+function isLockStale(lock) {
+  if (Date.now() - lock.modifiedAt > CONFIG.lockStaleMs) {
+    return true;
+  }
+  const { pid, hostname } = lock.owner ?? {};
+  return hostname === os.hostname() && Number.isInteger(pid) && !isProcessRunning(pid);
+}
+
+/**
+ * Takes the output directory's lock, so a scheduled run and a manual one
+ * don't write the same notes at once. A stale lock is replaced with a
+ * warning. The lock file's mtime is refreshed while it is held.
+ *
+ * @returns {Promise<{ release: Function }>} release() removes the lock
+ * @throws {WriteError} code OUTPUT_LOCKED when another run holds the lock
+ */
+async function acquireOutputLock(outputDir, logger) {
+  const lockPath = path.join(outputDir, CONFIG.lockFilename);
+  const content = JSON.stringify({ pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() }, null, 2) + '\n';
+  const lockedError = owner => new WriteError('Another dayflow-sync run is writing to this output directory', {
+    code: 'OUTPUT_LOCKED',
+    file: CONFIG.lockFilename,
+    directory: outputDir,
+    lock: owner,
+    details: owner?.pid ? [`Locked by process ${owner.pid} on ${owner.hostname} since ${owner.startedAt}`] : []
+  });
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    try {
+      await fs.writeFile(lockPath, content, { flag: 'wx' });
+      return holdOutputLock(lockPath, content);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw new WriteError(`Failed to create lock file: ${error.message}`, {
+          file: CONFIG.lockFilename,
+          directory: outputDir,
+          cause: error
+        });
+      }
+    }
+
+    const lock = await readLock(lockPath);
+    if (lock && !isLockStale(lock)) {
+      throw lockedError(lock.owner);
+    }
+    if (lock) {
+      const { pid = 'unknown', hostname = 'unknown host' } = lock.owner ?? {};
+      logger.warn(`  ⚠ Replacing stale lock from process ${pid} on ${hostname}`);
+      // Only remove the lock judged stale, not one another run just took
+      if ((await readLock(lockPath))?.content === lock.content) {
+        await fs.rm(lockPath, { force: true });
+      }
+    }
+  }
+
+  throw lockedError(null);
+}
+
+function holdOutputLock(lockPath, content) {
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => {});
+  }, CONFIG.lockHeartbeatMs);
+  heartbeat.unref();
+
+  return {
+    release: async () => {
+      clearInterval(heartbeat);
+      if ((await readLock(lockPath))?.content === content) {
+        await fs.rm(lockPath, { force: true });
+      }
+    }
+  };
+}
+
+// ==================== Main Sync Function ====================
+/**
+ * Generates (or updates) the note for a single day.
+ *
+ * @param {string} dayString - Dayflow day (YYYY-MM-DD)
+ * @param {Object} context
+ * @param {Database} context.db - Read-only Dayflow database
+ * @param {Object} context.noteTemplate - Compiled note template
+ * @param {Object} context.settings - From resolveSyncOptions
+ * @param {boolean} [context.regenerate] - Rewrite the note even if the day is complete
+ * @returns {Promise<{ status: 'created'|'updated'|'skipped', filename: string, reason?: string, redactions?: Object[], changes?: Object[], cardChanges?: Object }>}
+ *   With settings.dryRun nothing is written; changes lists the files that would be.
+ *   cardChanges counts cards added, removed and rewritten since the note's last write
+ */
+async function syncDay(dayString, { db, noteTemplate, settings, regenerate = false }) {
+  const { logger, outputDir } = settings;
+  const outputs = await Promise.all(settings.formats.map(async outputFormat => ({
+    outputFormat,
+    filename: generateFilename(dayString, settings, outputFormat),
+    existingPath: await findExistingNoteByDay(dayString, settings, outputFormat)
+  })));
+  const dayComplete = isDayComplete(dayString, settings);
+
+  // Smart sync (default): skip complete days whose outputs all exist
+  // Force mode: regenerate everything
+  if (!regenerate && outputs.every(output => output.existingPath) && dayComplete) {
+    logger.log(`  ⊘ Skipped (day complete, ${outputs.length > 1 ? 'files exist' : 'note exists'})`);
+    return { status: 'skipped', filename: outputs[0].filename, reason: 'day complete' };
+  }
+
+  // Fetch data
+  // Apply the rules file and redaction, and drop failed processing cards
+  const redactionLog = [];
+  const { cards: timelineCards, failed, dropped } = fetchDayCards(db, dayString, settings, redactionLog);
+
+  if (failed > 0) {
+    logger.log(`  ℹ Filtered out ${failed} failed processing card(s)`);
+  }
+  if (dropped > 0) {
+    logger.log(`  ℹ Dropped ${dropped} card(s) by rules`);
+  }
+  timelineCards.filter(hasUnparsableMetadata).forEach(card => {
+    logger.warn(`  ⚠ Card ${card.id} has metadata that is not valid JSON; its apps and distractions are left out`);
+  });
+
+  // Devices recording at the same time overlap by design; only overlaps
+  // within one device's timeline are worth a warning
+  const overlaps = findOverlappingCards(timelineCards);
+  const deviceOverlaps = overlaps.filter(({ first, second }) => first.device !== second.device);
+  const sameDeviceOverlaps = overlaps.filter(({ first, second }) => first.device === second.device);
+  if (sameDeviceOverlaps.length > 0) {
+    logger.warn(`  ⚠ ${sameDeviceOverlaps.length} overlapping card pair(s); overlapping time is counted once`);
+    sameDeviceOverlaps.forEach(({ first, second, minutes }) => {
+      logger.warn(`    ${first.start} - ${first.end} "${first.title}" overlaps ${second.start} - ${second.end} "${second.title}" by ${minutes} min`);
+    });
+  }
+  if (deviceOverlaps.length > 0) {
+    const minutes = deviceOverlaps.reduce((total, overlap) => total + overlap.minutes, 0);
+    logger.log(`  ℹ ${deviceOverlaps.length} card pair(s) overlap across devices (${minutes} min); overlapping time is counted once`);
+  }
+
+  const journalEntry = fetchDayJournal(db, dayString, settings, redactionLog);
+  const redactions = summarizeRedactions(redactionLog);
+
+  if (timelineCards.length === 0 && !journalEntry) {
+    logger.log(`  ⊘ Skipped (no data for this day)`);
+    return { status: 'skipped', filename: outputs[0].filename, reason: 'no data', redactions };
+  }
+
+  // Yesterday's goals that no card matched
+  const previousDay = shiftDayString(dayString, -1);
+  const carriedOver = findCarriedOverGoals(
+    trackGoals(parseGoals(fetchDayJournal(db, previousDay, settings)?.goals), fetchDayCards(db, previousDay, settings).cards, settings),
+    previousDay,
+    parseGoals(journalEntry?.goals),
+    timelineCards,
+    settings
+  );
+
+  // Cards added, removed or rewritten since the note was last written
+  const previousHashes = await readPreviousCardHashes(dayString, settings);
+  const cardChanges = previousHashes ? detectCardChanges(previousHashes, timelineCards, db, settings) : null;
+  const cardChangeCounts = cardChanges && countCardChanges(cardChanges);
+  if (cardChangeCounts && Object.values(cardChangeCounts).some(count => count > 0)) {
+    const { added, removed, rewritten } = cardChangeCounts;
+    logger.log(`  ℹ Cards since last sync: ${added} added, ${removed} removed, ${rewritten} rewritten`);
+  }
+
+  // Why the day is being written, for dry-run reports
+  const reason = !outputs[0].existingPath ? 'new note'
+    : settings.force ? 'forced'
+    : regenerate ? 'data changed'
+    : !dayComplete ? 'day in progress'
+    : 'missing output';
+  const changes = [];
+
+  const videoAttachments = settings.attachVideos && settings.formats.includes('markdown')
+    ? await syncVideoAttachments(dayString, timelineCards, settings, changes)
+    : null;
+  const context = { carriedOver, cardChanges, videoAttachments };
+  const noteChanges = [];
+
+  for (const { outputFormat, filename, existingPath } of outputs) {
+    let content;
+
+    if (outputFormat === 'markdown' && settings.target === 'logseq') {
+      // Read even when Dayflow hasn't written here yet: it may be the user's journal page
+      const existingContent = await readExistingNote(path.join(outputDir, filename));
+      const page = generateLogseqPage(buildNoteModel(dayString, timelineCards, journalEntry, settings, context));
+      content = mergeLogseqPage(page, existingContent);
+    } else if (outputFormat === 'markdown') {
+      const existingContent = existingPath ? await readExistingNote(existingPath) : null;
+
+      // Preserve created_at when updating existing notes (unless forcing)
+      const existingCreatedAt = !settings.force ? getExistingCreatedAt(existingContent) : null;
+
+      // Generate markdown, keeping user edits outside the managed regions
+      content = generateMarkdownNote(dayString, timelineCards, journalEntry, settings, existingCreatedAt, noteTemplate, context);
+      if (existingContent) {
+        content = mergeWithExistingNote(content, existingContent, settings.logger);
+      }
+    } else {
+      content = EXPORTERS[outputFormat](dayString, timelineCards, journalEntry, settings);
+    }
+
+    const change = await writeNote(filename, content, settings);
+    if (change.action !== 'unchanged') {
+      noteChanges.push({ ...change, day: dayString, reason });
+    }
+  }
+  changes.push(...noteChanges);
+
+  const status = outputs[0].existingPath ? 'updated' : 'created';
+
+  // Outputs identical to what's on disk were left alone, updated_at included
+  if (changes.length === 0) {
+    logger.log(`  ⊘ Skipped (no changes)`);
+    return { status: 'skipped', filename: outputs[0].filename, reason: 'no changes', redactions };
+  }
+
+  if (settings.dryRun) {
+    logger.log(`  ✓ Would ${status === 'updated' ? 'update' : 'create'}: ${changes.map(change => change.file).join(', ')} (${reason})`);
+    return { status, filename: outputs[0].filename, reason, redactions, changes, cardChanges: cardChangeCounts };
+  }
+
+  logger.log(`  ✓ ${status === 'updated' ? 'Updated' : 'Created'}: ${noteChanges.map(change => change.file).join(', ')} (${timelineCards.length} cards)`);
+  return { status, filename: outputs[0].filename, reason, redactions, cardChanges: cardChangeCounts };
+}
+
+async function loadNoteTemplate(settings) {
+  return settings.template
+    ? loadTemplate(settings.template)
+    : compileTemplate(DEFAULT_TEMPLATE);
+}
+
+/**
+ * Syncs a set of days, then the rollups and index pages they affect.
+ * WriteErrors abort the run; any other failure is recorded against its day.
+ */
+async function syncDays(dates, { db, noteTemplate, settings, regenerate }) {
+  const { logger } = settings;
+  const result = {
+    created: [], updated: [], skipped: [], errors: [], redactions: [], changes: [], cardChanges: [], rollups: null, indexPages: null
+  };
+
+  for (const dayString of dates) {
+    try {
+      logger.log(`Processing ${dayString}...`);
+      const { status, reason, redactions = [], changes = [], cardChanges } = await syncDay(dayString, {
+        db,
+        noteTemplate,
+        settings,
+        regenerate: regenerate(dayString)
+      });
+
+      if (status === 'skipped') {
+        result.skipped.push({ day: dayString, reason });
+      } else {
+        result[status].push(dayString);
+      }
+      result.redactions.push(...redactions.map(redaction => ({ day: dayString, ...redaction })));
+      result.changes.push(...changes);
+      if (cardChanges && Object.values(cardChanges).some(count => count > 0)) {
+        result.cardChanges.push({ day: dayString, ...cardChanges });
+      }
+    } catch (error) {
+      if (error instanceof WriteError) {
+        throw error;
+      }
+      logger.error(`  ✗ Error: ${error.message}`);
+      result.errors.push({ day: dayString, error });
+    }
+  }
+
+  const changedDays = new Set([...result.created, ...result.updated]);
+
+  // Rollups and index pages are markdown notes linking to the daily notes
+  if (settings.rollups && settings.formats.includes('markdown')) {
+    logger.log('\nProcessing rollup notes...');
+    result.rollups = await syncRollupNotes(db, dates, changedDays, settings, result.changes);
+  }
+
+  if (settings.wikilinks && settings.formats.includes('markdown')) {
+    logger.log('\nUpdating index pages...');
+    result.indexPages = await syncIndexPages(db, changedDays, settings, result.changes);
+  }
+
+  return result;
+}
+
+// ==================== Public API ====================
+
+/**
+ * The databases to read: options.databases when given, otherwise the single
+ * options.dbPath. Several databases each need a distinct device label, which
+ * ends up in card ids, headers and frontmatter.
+ */
+function resolveDatabases(options) {
+  if (!options.databases?.length) {
+    return [{ path: options.dbPath ? expandHomeDir(options.dbPath) : CONFIG.dayflowDbPath, device: null }];
+  }
+
+  const databases = options.databases.map(({ path: dbPath, device }) => ({
+    path: dbPath ? expandHomeDir(dbPath) : CONFIG.dayflowDbPath,
+    device: device || null
+  }));
+  if (databases.length === 1) {
+    return databases;
+  }
+
+  databases.forEach(({ path: dbPath, device }, index) => {
+    if (!device || !DEVICE_LABEL_PATTERN.test(device)) {
+      throw new OptionsError(`Invalid device label for ${dbPath}: ${device ?? '(none)'}`, {
+        option: 'databases',
+        details: ['Each database needs a device label of letters, digits, _ or -, e.g. --db work=~/work/chunks.sqlite']
+      });
+    }
+    if (databases.findIndex(other => other.device === device) !== index) {
+      throw new OptionsError(`Duplicate device label: ${device}`, {
+        option: 'databases',
+        details: ['Give each database its own device label']
+      });
+    }
+  });
+  return databases;
+}
+
+/**
+ * Identifies the databases in incremental state, so a changed database list
+ * triggers a full sync.
+ */
+function describeDatabases(databases) {
+  return databases.length === 1
+    ? path.resolve(databases[0].path)
+    : databases.map(({ path: dbPath, device }) => `${device}=${path.resolve(dbPath)}`).join(', ');
+}
+
+/**
+ * Fills in defaults and validates syncDayflow options. Safe to call on its
+ * own result, so callers can show the effective settings before syncing.
+ *
+ * @param {Object} [options] - See syncDayflow
+ * @returns {Object} Normalized settings
+ * @throws {OptionsError|ConfigError} ConfigError when the rules file is invalid
+ */
+function resolveSyncOptions(options = {}) {
+  const target = options.target ?? 'obsidian';
+  if (!TARGETS.includes(target)) {
+    throw new OptionsError(`Unknown target: ${target}`, {
+      option: 'target',
+      details: [`Supported targets: ${TARGETS.join(', ')}`]
+    });
+  }
+
+  const days = options.days ?? 7;
+  if (!Number.isInteger(days) || days < 1) {
+    throw new OptionsError(`Invalid number of days: ${days}`, {
+      option: 'days',
+      details: ['days must be a whole number of at least 1']
+    });
+  }
+
+  const dayStartHour = options.dayStartHour ?? CONFIG.dayflowDayStartHour;
+  if (!Number.isInteger(dayStartHour) || dayStartHour < 0 || dayStartHour > 23) {
+    throw new OptionsError(`Invalid day start hour: ${dayStartHour}`, {
+      option: 'dayStartHour',
+      details: ['dayStartHour must be a whole hour from 0 to 23']
+    });
+  }
+
+  const timezone = options.timezone || null;
+  if (timezone && !isValidTimezone(timezone)) {
+    throw new OptionsError(`Unknown timezone: ${timezone}`, {
+      option: 'timezone',
+      details: ['Use an IANA timezone name such as America/New_York or Europe/Berlin']
+    });
+  }
+
+  const boundary = { dayStartHour, timezone };
+  const dateRange = parseDateRangeOptions(options.from, options.to, boundary);
+
+  const videoEmbed = options.videoEmbed ?? 'wikilink';
+  if (!VIDEO_EMBEDS.includes(videoEmbed)) {
+    throw new OptionsError(`Unknown video embed style: ${videoEmbed}`, {
+      option: 'videoEmbed',
+      details: [`Supported styles: ${VIDEO_EMBEDS.join(', ')}`]
+    });
+  }
+
+  const maxVideoSize = options.maxVideoSize ?? CONFIG.defaultMaxVideoSizeMb;
+  if (typeof maxVideoSize !== 'number' || !(maxVideoSize > 0)) {
+    throw new OptionsError(`Invalid video size limit: ${maxVideoSize}`, {
+      option: 'maxVideoSize',
+      details: ['maxVideoSize is in megabytes and must be greater than 0']
+    });
+  }
+
+  const databases = resolveDatabases(options);
+
+  return {
+    dbPath: databases[0].path,
+    databases,
+    outputDir: path.resolve(expandHomeDir(options.outputDir || CONFIG.defaultOutputDir)),
+    days,
+    from: dateRange?.from ?? null,
+    to: dateRange?.to ?? null,
+    dayStartHour,
+    timezone,
+    // Dayflow's `day` column assumes its own boundary in the recording timezone
+    rebucket: dayStartHour !== CONFIG.dayflowDayStartHour || !!timezone,
+    includeDeleted: !!options.includeDeleted,
+    force: !!options.force,
+    incremental: !!options.incremental,
+    dryRun: !!options.dryRun,
+    diff: !!options.diff,
+    target,
+    // Rollups are plain markdown notes and have no Logseq page equivalent
+    rollups: (options.rollups ?? true) && target !== 'logseq',
+    template: options.template ? expandHomeDir(options.template) : null,
+    filenamePattern: options.filenamePattern || CONFIG.defaultFilenamePattern,
+    formats: parseFormatsOption(options.formats ?? ['markdown']),
+    // Wikilinks and index pages are Obsidian-specific
+    wikilinks: !!options.wikilinks && target === 'obsidian',
+    indexFolder: options.indexFolder || CONFIG.defaultIndexFolder,
+    attachVideos: !!options.attachVideos,
+    attachmentsFolder: options.attachmentsFolder || CONFIG.defaultAttachmentsFolder,
+    maxVideoSize,
+    videoEmbed,
+    sections: Object.fromEntries(
+      NOTE_SECTIONS.map(section => [section, options.sections?.[section] ?? !OPT_IN_SECTIONS.includes(section)])
+    ),
+    gapThreshold: Math.max(0, options.gapThreshold ?? CONFIG.defaultGapThresholdMinutes),
+    rules: resolveRules(options.rules),
+    debounceMs: Math.max(0, options.debounceMs ?? CONFIG.defaultDebounceMs),
+    logger: { ...SILENT_LOGGER, ...options.logger }
+  };
+}
+
+/**
+ * Syncs Dayflow days to notes once.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dbPath] - Dayflow database (default: Dayflow's location on macOS)
+ * @param {Array<{ device: string, path: string }>} [options.databases] - Several databases to merge
+ *   into one timeline, each labelled with its device; replaces dbPath
+ * @param {string} [options.outputDir='./dayflow-notes'] - Where notes are written
+ * @param {number} [options.days=7] - Sync this many recent days...
+ * @param {string} [options.from] - ...or every day from this date (YYYY-MM-DD)
+ * @param {string} [options.to] - ...to this date (default: today)
+ * @param {number} [options.dayStartHour=4] - Hour a day starts at; other values re-bucket cards by time
+ * @param {string} [options.timezone] - IANA timezone for day boundaries and card times (default: system)
+ * @param {boolean} [options.incremental] - Only regenerate days changed since the last run
+ * @param {boolean} [options.force] - Regenerate complete days too
+ * @param {boolean} [options.dryRun] - Decide what each day would do, but write nothing
+ * @param {boolean} [options.diff] - With dryRun, include a unified diff for each changed file
+ * @param {boolean} [options.includeDeleted] - Include deleted timeline cards
+ * @param {boolean} [options.rollups=true] - Write weekly and monthly rollup notes
+ * @param {string} [options.template] - Custom note template file
+ * @param {string} [options.filenamePattern='Dayflow_{date}.md']
+ * @param {number} [options.gapThreshold=15] - Minutes between cards reported as untracked time
+ * @param {string|Object} [options.rules] - Rules file, or its { categories, rules } contents
+ * @param {Object} [options.sections] - Note sections to include, e.g. { distractions: false }
+ * @param {string|string[]} [options.formats=['markdown']] - markdown, json, csv, ics
+ * @param {string} [options.target='obsidian'] - obsidian or logseq
+ * @param {boolean} [options.wikilinks] - Link apps/categories and maintain index pages
+ * @param {string} [options.indexFolder='Dayflow Index']
+ * @param {boolean} [options.attachVideos] - Copy video summaries into the output directory and embed them
+ * @param {string} [options.attachmentsFolder='Dayflow Attachments']
+ * @param {number} [options.maxVideoSize=200] - Megabytes; larger videos are linked, not copied
+ * @param {string} [options.videoEmbed='wikilink'] - wikilink (![[...]]) or markdown (relative link); Logseq always uses markdown
+ * @param {Object} [options.logger] - Receives progress lines ({ log, warn, error }); silent by default
+ * @returns {Promise<Object>} { outputDir, dates, created, updated, skipped, errors, redactions, changes, cardChanges, rollups, indexPages, watermark }
+ *   where created/updated are days, skipped is [{ day, reason }], errors is [{ day, error }],
+ *   redactions is [{ day, rule, action, count, fields, cards }] (card ids, never the redacted text),
+ *   cardChanges is [{ day, added, removed, rewritten }] for days whose cards changed since the note was last written
+ *   and, for a dry run, changes is [{ file, action, reason, day?, period?, diff? }] (empty otherwise)
+ * @throws {DayflowSyncError} OptionsError, ConfigError, PlatformError, TemplateError, DatabaseError or WriteError
+ */
+async function syncDayflow(options = {}) {
+  const settings = resolveSyncOptions(options);
+  const { logger, outputDir, databases } = settings;
+
+  databases.forEach(({ path: dbPath }) => validatePlatform(dbPath));
+  const noteTemplate = await loadNoteTemplate(settings);
+
+  // Open database
+  logger.log(databases.length > 1 ? `Opening ${databases.length} Dayflow databases...` : 'Opening Dayflow database...');
+  const db = openDatabases(settings);
+  logger.log(databases.length > 1 ? '✓ Databases connected (read-only mode)\n' : '✓ Database connected (read-only mode)\n');
+  let lock = null;
+
+  try {
+    // Calculate date range
+    let dates = settings.from
+      ? calculateDateRangeBetween(settings.from, settings.to)
+      : calculateDateRange(settings.days, settings);
+
+    // Incremental: once a previous run left a watermark, only days whose rows
+    // changed since then are regenerated, however old they are
+    const watermark = fetchDatabaseWatermark(db, settings);
+    const previousState = settings.incremental ? await readSyncState(outputDir) : null;
+    const usePreviousState = previousState && previousState.dbPath === describeDatabases(databases);
+    let incrementalDays = null;
+
+    if (usePreviousState) {
+      const changed = fetchChangedDays(db, previousState.watermark, watermark, settings);
+      dates = settings.from ? changed.filter(day => day >= settings.from && day <= settings.to) : changed;
+      incrementalDays = new Set(dates);
+      logger.log(`Changes since last sync (${previousState.lastSyncAt}): ${dates.length} day(s)`);
+    } else if (settings.incremental) {
+      logger.log('No previous incremental sync found, running a full sync');
+    }
+
+    if (dates.length > 0) {
+      logger.log(`Syncing ${dates.length} days: ${dates[0]} to ${dates[dates.length - 1]}\n`);
+    } else {
+      logger.log('Nothing to sync\n');
+    }
+
+    // Ensure output directory exists and hold its lock while writing
+    // (a dry run leaves the filesystem alone)
+    if (!settings.dryRun) {
+      try {
+        await fs.mkdir(outputDir, { recursive: true });
+      } catch (error) {
+        throw new WriteError(`Failed to create output directory: ${error.message}`, {
+          directory: outputDir,
+          cause: error
+        });
+      }
+      lock = await acquireOutputLock(outputDir, logger);
+    }
+
+    // Incremental mode: days with new data are regenerated even when complete
+    const result = await syncDays(dates, {
+      db,
+      noteTemplate,
+      settings,
+      regenerate: dayString => settings.force || !!incrementalDays?.has(dayString)
+    });
+
+    // Advance the incremental watermark only when every day synced cleanly,
+    // so failed days are retried next time. A run limited by from/to skips
+    // changes outside its range, so it leaves the watermark where it was
+    if (settings.incremental && !settings.dryRun) {
+      if (settings.from) {
+        logger.log(`\n  ℹ Limited to ${settings.from} to ${settings.to}; incremental state not updated`);
+      } else if (result.errors.length === 0) {
+        await writeSyncState(outputDir, {
+          lastSyncAt: new Date().toISOString(),
+          dbPath: describeDatabases(databases),
+          watermark
+        });
+      } else {
+        logger.warn(`\n  ⚠ ${result.errors.length} day(s) failed; incremental state not updated`);
+      }
+    }
+
+    return { outputDir, dates, ...result, watermark };
+  } finally {
+    await lock?.release();
+    db.close();
+  }
+}
+
+// ==================== Watch Mode ====================
+/**
+ * Keeps notes live while Dayflow records. Polls chunks.sqlite and its WAL
+ * file (Dayflow writes land in the WAL first), waits for a burst of writes to
+ * settle, then regenerates only the days whose rows changed plus the current
+ * day. The database stays open read-only throughout.
+ *
+ * Takes the same options as syncDayflow, plus:
+ * @param {AbortSignal} options.signal - Stops watching when aborted
+ * @param {Object} [options.watermark] - Start from a syncDayflow result's watermark
+ *   (default: the database's current state)
+ * @param {number} [options.debounceMs=2000] - Quiet period after the last write
+ * @returns {Promise<{ watermark: Object, syncs: number }>} Once stopped and any
+ *   in-flight sync has finished; with `incremental`, the watermark is saved too
+ */
+async function watchDayflow(options = {}) {
+  const settings = resolveSyncOptions(options);
+  const { logger, databases } = settings;
+  const { signal } = options;
+
+  if (settings.dryRun) {
+    throw new OptionsError('Watch mode cannot be a dry run', {
+      option: 'dryRun',
+      details: ['Preview a single sync with dryRun, then watch without it']
+    });
+  }
+
+  databases.forEach(({ path: dbPath }) => validatePlatform(dbPath));
+  const noteTemplate = await loadNoteTemplate(settings);
+  const db = openDatabases(settings);
+
+  const watchedFiles = databases.flatMap(({ path: dbPath }) => [dbPath, `${dbPath}-wal`]);
+  let watermark = options.watermark ?? fetchDatabaseWatermark(db, settings);
+  let syncs = 0;
+  let debounceTimer = null;
+  let inFlight = null;
+  let pending = false;
+
+  async function syncChanges() {
+    const nextWatermark = fetchDatabaseWatermark(db, settings);
+    const today = getDayForDate(new Date(), settings);
+    const days = [...new Set([today, ...fetchChangedDays(db, watermark, nextWatermark, settings)])];
+
+    logger.log(`\n[${format(new Date(), 'HH:mm:ss')}] Database changed, syncing ${days.join(', ')}`);
+
+    // Locked per sync, so scheduled runs can still get in between changes;
+    // when one holds the lock, the watermark stays put and the days are retried
+    const lock = await acquireOutputLock(settings.outputDir, logger);
+    let result;
+    try {
+      result = await syncDays(days, { db, noteTemplate, settings, regenerate: () => true });
+    } finally {
+      await lock.release();
+    }
+    syncs++;
+
+    // Keep the old watermark on failure so the next change retries those days
+    if (result.errors.length === 0) {
+      watermark = nextWatermark;
+    }
+  }
+
+  function runSync() {
+    if (inFlight) {
+      pending = true;
+      return;
+    }
+
+    inFlight = syncChanges()
+      .catch(error => logger.error(`  ✗ Watch sync failed: ${error.message}`))
+      .finally(() => {
+        inFlight = null;
+        if (pending) {
+          pending = false;
+          runSync();
+        }
+      });
+  }
+
+  function onChange(current, previous) {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+      return;
+    }
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(runSync, settings.debounceMs);
+  }
+
+  watchedFiles.forEach(file => {
+    fsSync.watchFile(file, { interval: CONFIG.watchIntervalMs, persistent: true }, onChange);
+  });
+
+  logger.log(`\n👀 Watching ${databases.map(({ path: dbPath }) => dbPath).join(', ')} for changes (Ctrl+C to stop)...`);
+
+  if (!signal?.aborted) {
+    await new Promise(resolve => signal?.addEventListener('abort', resolve, { once: true }));
+  }
+
+  clearTimeout(debounceTimer);
+  watchedFiles.forEach(file => fsSync.unwatchFile(file, onChange));
+  pending = false;
+  await inFlight;
+  db.close();
+
+  // Like syncDayflow, a from/to limited run leaves the saved state alone
+  if (settings.incremental && !settings.from) {
+    await writeSyncState(settings.outputDir, {
+      lastSyncAt: new Date().toISOString(),
+      dbPath: describeDatabases(databases),
+      watermark
+    });
+  }
+
+  return { watermark, syncs };
+}
+
+// ==================== Search ====================
+const SEARCH_CARD_FIELDS = ['title', 'summary', 'detailed_summary'];
+
+function matchesAnyName(names, values) {
+  const wanted = new Set(names.map(name => name.toLowerCase()));
+  return values.some(value => value && wanted.has(value.toLowerCase()));
+}
+
+/**
+ * Searches timeline cards (title, summary, detailed summary, distractions)
+ * and journal entries for a case-insensitive phrase. Unlike a sync, it reads
+ * every matching day straight from the database, exported or not.
+ *
+ * Takes the syncDayflow options that locate the database and notes (dbPath,
+ * outputDir, dayStartHour, timezone, rules, ...), plus:
+ * @param {string} options.query - Text to look for
+ * @param {string} [options.from] - First day; with `to`, limits the search...
+ * @param {string} [options.to]
+ * @param {number} [options.days] - ...or search this many recent days (default: all)
+ * @param {string[]} [options.categories] - Only cards in these categories
+ * @param {string[]} [options.apps] - Only cards using these apps
+ * @returns {Promise<{ query: string, from: string|null, to: string|null, hits: Object[] }>}
+ *   Hits are { type: 'card'|'journal', day, start, end, title, category,
+ *   subcategory, apps, matches, note } in time order; `matches` names the
+ *   fields that contain the query and `note` is the day's note path, if written
+ * @throws {DayflowSyncError} OptionsError, ConfigError, PlatformError or DatabaseError
+ */
+async function searchDayflow(options = {}) {
+  const query = typeof options.query === 'string' ? options.query.trim() : '';
+  if (!query) {
+    throw new OptionsError('Missing search query', {
+      option: 'query',
+      details: ['Pass the text to look for, e.g. dayflow-sync search "auth refactor"']
+    });
+  }
+
+  const settings = resolveSyncOptions(options);
+  settings.databases.forEach(({ path: dbPath }) => validatePlatform(dbPath));
+
+  let { from, to } = settings;
+  if (!from && options.days !== undefined) {
+    to = getDayForDate(new Date(), settings);
+    from = shiftDayString(to, 1 - settings.days);
+  }
+
+  const needle = query.toLowerCase();
+  const contains = text => typeof text === 'string' && text.toLowerCase().includes(needle);
+  const categories = options.categories?.length > 0 ? options.categories : null;
+  const apps = options.apps?.length > 0 ? options.apps : null;
+
+  const db = openDatabases(settings);
+  let hits;
+  try {
+    // Redaction applies before matching, so masked text is neither shown nor found
+    const { redact } = settings.rules;
+    const redactionLog = [];
+    const ruled = applyCardRules(fetchTimelineCardsBetween(db, from, to, settings), settings.rules).cards;
+    const cards = redact ? ruled.map(card => redactCard(card, redact, redactionLog)).filter(Boolean) : ruled;
+    const journals = fetchJournalEntriesBetween(db, from, to)
+      .map(journal => redact ? redactJournal(journal, redact, redactionLog) : journal);
+
+    const cardHits = cards.flatMap(card => {
+      const { appSites, distractions } = parseMetadata(card.metadata);
+      const cardApps = [appSites.primary, appSites.secondary].filter(Boolean);
+      if ((categories && !matchesAnyName(categories, [card.category])) || (apps && !matchesAnyName(apps, cardApps))) {
+        return [];
+      }
+
+      const matches = SEARCH_CARD_FIELDS.filter(field => contains(card[field]));
+      if (distractions.some(d => contains(d.title) || contains(d.summary))) {
+        matches.push('distractions');
+      }
+      return matches.length > 0
+        ? [{
+            type: 'card',
+            day: card.day,
+            start: card.start,
+            end: card.end,
+            start_ts: card.start_ts,
+            title: card.title,
+            category: card.category,
+            subcategory: card.subcategory,
+            apps: cardApps,
+            ...(card.device && { device: card.device }),
+            matches
+          }]
+        : [];
+    });
+
+    // Journal entries have no category or apps, so those filters exclude them
+    const journalHits = categories || apps ? [] : journals.flatMap(journal => {
+      const matches = JOURNAL_TEXT_FIELDS.filter(field => contains(journal[field])).map(field => `journal.${field}`);
+      return matches.length > 0
+        ? [{ type: 'journal', day: journal.day, start: null, end: null, title: 'Journal entry', category: null, subcategory: null, apps: [], matches }]
+        : [];
+    });
+
+    hits = [...cardHits, ...journalHits].sort((a, b) =>
+      a.day.localeCompare(b.day) || (a.start_ts ?? Infinity) - (b.start_ts ?? Infinity)
+    );
+  } finally {
+    db.close();
+  }
+
+  const notes = new Map();
+  for (const day of new Set(hits.map(hit => hit.day))) {
+    notes.set(day, await findExistingNoteByDay(day, settings));
+  }
+
+  return {
+    query,
+    from,
+    to,
+    hits: hits.map(({ start_ts, ...hit }) => ({ ...hit, note: notes.get(hit.day) }))
+  };
+}
+
+// ==================== Stats ====================
+const SPARKLINE_CHARS = '▁▂▃▄▅▆▇█';
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+function sparkline(values) {
+  const max = Math.max(0, ...values);
+  return values
+    .map(value => SPARKLINE_CHARS[max > 0 ? Math.round((value / max) * (SPARKLINE_CHARS.length - 1)) : 0])
+    .join('');
+}
+
+function renderBar(value, max, width = 24) {
+  return '█'.repeat(max > 0 ? Math.round((value / max) * width) : 0);
+}
+
+function formatHours(minutes) {
+  return `${(minutes / 60).toFixed(1)}h`;
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function calculateDistractionMinutes(cards, timeZone = null) {
+  return extractAllDistractions(cards).reduce((total, distraction) => {
+    const start = parseClockMinutes(distraction.startTime, timeZone);
+    const end = parseClockMinutes(distraction.endTime, timeZone);
+    if (start === null || end === null) {
+      return total;
+    }
+    // A distraction past midnight ends "before" it starts
+    return total + (end >= start ? end - start : end + 24 * 60 - start);
+  }, 0);
+}
+
+/**
+ * Longest stretch of back-to-back focus cards (gaps under a minute are
+ * ignored), as { start_ts, end_ts, minutes } or null.
+ */
+function findLongestFocusBlock(cards, isFocus) {
+  let longest = null;
+  let block = null;
+
+  normalizeCardIntervals(cards).forEach(({ card, start_ts, end_ts }) => {
+    if (!isFocus(card)) {
+      block = null;
+      return;
+    }
+    if (block && start_ts - block.end_ts < 60) {
+      block.end_ts = Math.max(block.end_ts, end_ts);
+    } else {
+      block = { start_ts, end_ts };
+    }
+    const minutes = calculateDuration(block.start_ts, block.end_ts);
+    if (!longest || minutes > longest.minutes) {
+      longest = { ...block, minutes };
+    }
+  });
+
+  return longest;
+}
+
+function groupBy(items, getKey) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    groups.set(key, [...(groups.get(key) || []), item]);
+  });
+  return groups;
+}
+
+/**
+ * @param {Array<{ dayString: string, cards: Array }>} days - In date order
+ */
+function buildStats(days, settings, focusCategories) {
+  const focus = new Set(focusCategories.map(category => category.toLowerCase()));
+  const isFocus = card => !!card.category && focus.has(card.category.toLowerCase());
+
+  const daily = days.map(({ dayString, cards }) => {
+    const block = findLongestFocusBlock(cards, isFocus);
+    return {
+      day: dayString,
+      weekday: format(parseISO(dayString), 'EEEE'),
+      minutes: calculateTotalMinutes(cards),
+      focusMinutes: calculateTotalMinutes(cards.filter(isFocus)),
+      distractionMinutes: calculateDistractionMinutes(cards, settings.timezone),
+      distractions: extractAllDistractions(cards).length,
+      cards: cards.length,
+      longestFocusBlock: block && {
+        day: dayString,
+        start: formatCardTime(block.start_ts, settings.timezone),
+        end: formatCardTime(block.end_ts, settings.timezone),
+        minutes: block.minutes
+      }
+    };
+  });
+  const tracked = daily.filter(day => day.cards > 0);
+  const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+  const ratio = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+
+  const weekdays = WEEKDAYS.map(weekday => {
+    const matching = tracked.filter(day => day.weekday === weekday);
+    return {
+      weekday,
+      days: matching.length,
+      averageMinutes: matching.length > 0 ? Math.round(sum(matching, 'minutes') / matching.length) : 0,
+      averageFocusMinutes: matching.length > 0 ? Math.round(sum(matching, 'focusMinutes') / matching.length) : 0
+    };
+  });
+
+  const weeks = [...groupBy(daily, day => getRollupPeriods(day.day)[0].key)].map(([week, weekDays]) => ({
+    week,
+    minutes: sum(weekDays, 'minutes'),
+    focusMinutes: sum(weekDays, 'focusMinutes'),
+    distractionMinutes: sum(weekDays, 'distractionMinutes'),
+    distractionRatio: ratio(sum(weekDays, 'distractionMinutes'), sum(weekDays, 'minutes'))
+  }));
+
+  // Category share per month, with the change in percentage points from the month before
+  let previousShares = null;
+  const months = [...groupBy(days, day => day.dayString.slice(0, 7))].map(([month, monthDays]) => {
+    const cards = monthDays.flatMap(day => day.cards);
+    const minutes = calculateTotalMinutes(cards);
+    const shares = Object.entries(calculateCategoryMinutes(cards))
+      .sort((a, b) => b[1] - a[1])
+      .map(([category, categoryMinutes]) => {
+        const percent = minutes > 0 ? Math.round((categoryMinutes / minutes) * 100) : 0;
+        return {
+          category,
+          minutes: categoryMinutes,
+          percent,
+          change: previousShares ? percent - (previousShares.get(category) ?? 0) : null
+        };
+      });
+    // A month without data has no mix to drift from
+    previousShares = minutes > 0 ? new Map(shares.map(share => [share.category, share.percent])) : previousShares;
+    return { month, minutes, categories: shares };
+  });
+
+  const allCards = days.flatMap(day => day.cards);
+  const longestFocusBlock = tracked
+    .map(day => day.longestFocusBlock)
+    .filter(Boolean)
+    .reduce((longest, block) => !longest || block.minutes > longest.minutes ? block : longest, null);
+
+  return {
+    from: days[0]?.dayString ?? null,
+    to: days[days.length - 1]?.dayString ?? null,
+    focusCategories,
+    totals: {
+      days: daily.length,
+      trackedDays: tracked.length,
+      cards: allCards.length,
+      minutes: sum(daily, 'minutes'),
+      focusMinutes: sum(daily, 'focusMinutes'),
+      distractionMinutes: sum(daily, 'distractionMinutes'),
+      distractions: sum(daily, 'distractions'),
+      distractionRatio: ratio(sum(daily, 'distractionMinutes'), sum(daily, 'minutes'))
+    },
+    daily: daily.map(({ longestFocusBlock: _, ...day }) => day),
+    weekdays,
+    weeks,
+    months,
+    longestFocusBlock,
+    topApps: aggregateAppUsage(allCards).slice(0, 10)
+  };
+}
+
+/**
+ * Plain-text report with sparklines and bar charts, for terminals.
+ */
+function formatStatsReport(stats) {
+  const { totals } = stats;
+  const lines = [
+    `Dayflow stats: ${stats.from} to ${stats.to} (${totals.trackedDays} of ${totals.days} days tracked)`,
+    '',
+    `  Tracked        ${formatHours(totals.minutes).padStart(8)}  ${sparkline(stats.daily.map(day => day.minutes))}`,
+    `  Focus          ${formatHours(totals.focusMinutes).padStart(8)}  ${sparkline(stats.daily.map(day => day.focusMinutes))}  (${stats.focusCategories.join(', ')})`,
+    `  Distractions   ${formatHours(totals.distractionMinutes).padStart(8)}  ${sparkline(stats.daily.map(day => day.distractionMinutes))}  (${formatPercent(totals.distractionRatio)} of tracked time, ${totals.distractions} logged)`,
+    '',
+    'Focus time by weekday (average per tracked day)'
+  ];
+
+  const maxWeekday = Math.max(0, ...stats.weekdays.map(day => day.averageFocusMinutes));
+  stats.weekdays.forEach(({ weekday, days, averageFocusMinutes }) => {
+    lines.push(`  ${weekday.slice(0, 3)}  ${renderBar(averageFocusMinutes, maxWeekday).padEnd(24)}  ${days > 0 ? formatHours(averageFocusMinutes) : '-'}`);
+  });
+
+  lines.push('', `Distraction ratio by week  ${sparkline(stats.weeks.map(week => week.distractionRatio))}`);
+  stats.weeks.forEach(({ week, distractionRatio, minutes }) => {
+    lines.push(`  ${week}  ${formatPercent(distractionRatio).padStart(6)} of ${formatHours(minutes)}`);
+  });
+
+  lines.push('', 'Longest uninterrupted focus block');
+  const block = stats.longestFocusBlock;
+  lines.push(block ? `  ${formatHours(block.minutes)} on ${block.day}, ${block.start} - ${block.end}` : '  None recorded');
+
+  lines.push('', 'Category mix by month');
+  stats.months.forEach(({ month, categories }) => {
+    const shares = categories.slice(0, 5).map(({ category, percent, change }) =>
+      `${category} ${percent}%${change !== null && change !== 0 ? ` (${change > 0 ? '+' : ''}${change})` : ''}`
+    );
+    lines.push(`  ${month}  ${shares.join(' · ') || 'No data'}`);
+  });
+
+  lines.push('', 'Top apps');
+  const maxApp = Math.max(0, ...stats.topApps.map(app => app.totalMinutes));
+  const appWidth = Math.max(0, ...stats.topApps.map(({ app }) => app.length));
+  stats.topApps.forEach(({ app, sessions, totalMinutes }) => {
+    lines.push(`  ${app.padEnd(appWidth)}  ${renderBar(totalMinutes, maxApp).padEnd(24)}  ${formatHours(totalMinutes)} (${sessions} sessions)`);
+  });
+  if (stats.topApps.length === 0) {
+    lines.push('  No app usage recorded');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function generateStatsNote(stats, existingCreatedAt = null) {
+  const { totals } = stats;
+  const frontmatter = {
+    dayflow_stats: `${stats.from}_${stats.to}`,
+    period_start: stats.from,
+    period_end: stats.to,
+    days_tracked: totals.trackedDays,
+    total_minutes: totals.minutes,
+    focus_minutes: totals.focusMinutes,
+    distraction_ratio: totals.distractionRatio,
+    created_at: existingCreatedAt || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    tags: ['dayflow', 'stats']
+  };
+
+  const weekdayRows = stats.weekdays.map(({ weekday, days, averageMinutes, averageFocusMinutes }) =>
+    `| ${weekday} | ${days} | ${days > 0 ? formatHours(averageMinutes) : '—'} | ${days > 0 ? formatHours(averageFocusMinutes) : '—'} |`
+  );
+  const weekRows = stats.weeks.map(({ week, minutes, focusMinutes, distractionRatio }) =>
+    `| ${week} | ${formatHours(minutes)} | ${formatHours(focusMinutes)} | ${formatPercent(distractionRatio)} |`
+  );
+  const monthRows = stats.months.map(({ month, categories }) => {
+    const shares = categories.slice(0, 5).map(({ category, percent, change }) =>
+      `${category} ${percent}%${change !== null && change !== 0 ? ` (${change > 0 ? '+' : ''}${change})` : ''}`
+    );
+    return `| ${month} | ${shares.join(', ') || '—'} |`;
+  });
+  const block = stats.longestFocusBlock;
+
+  const summary = `# Dayflow Stats: ${formatDayString(stats.from)} – ${formatDayString(stats.to)}
+
+## Summary
+**Days tracked**: ${totals.trackedDays} of ${totals.days}
+**Total tracked time**: ${formatHours(totals.minutes)} \`${sparkline(stats.daily.map(day => day.minutes))}\`
+**Focus time** (${stats.focusCategories.join(', ')}): ${formatHours(totals.focusMinutes)} \`${sparkline(stats.daily.map(day => day.focusMinutes))}\`
+**Distractions**: ${totals.distractions} (${formatPercent(totals.distractionRatio)} of tracked time)
+**Longest focus block**: ${block ? `${formatHours(block.minutes)} on ${block.day}, ${block.start} - ${block.end}` : 'None recorded'}
+
+---
+`;
+  const trends = `## Focus by Weekday
+| Weekday | Days tracked | Avg. tracked | Avg. focus |
+| --- | --- | --- | --- |
+${weekdayRows.join('\n')}
+
+## Weekly Trend
+Distraction ratio: \`${sparkline(stats.weeks.map(week => week.distractionRatio))}\`
+
+| Week | Tracked | Focus | Distraction ratio |
+| --- | --- | --- | --- |
+${weekRows.join('\n')}
+
+## Category Mix by Month
+| Month | Categories (change in points) |
+| --- | --- |
+${monthRows.join('\n')}
+
+---
+`;
+
+  return '---\n' + yaml.dump(frontmatter) + '---\n\n' +
+    wrapManagedRegion('summary', summary) +
+    wrapManagedRegion('trends', trends) +
+    wrapManagedRegion('top-apps', formatTopAppsSection(stats.topApps));
+}
+
+/**
+ * Loads every day in the range and summarizes the trends across it.
+ *
+ * Takes the syncDayflow options that locate the database and notes, plus:
+ * @param {string} [options.from] - First day; with `to`...
+ * @param {string} [options.to]
+ * @param {number} [options.days=28] - ...or this many recent days
+ * @param {string[]} [options.focusCategories=['Work']] - Categories that count as focus time
+ * @param {string[]} [options.save] - Also write the report as 'markdown' and/or 'json' to outputDir
+ * @returns {Promise<Object>} { from, to, focusCategories, totals, daily, weekdays, weeks,
+ *   months, longestFocusBlock, topApps, files } where files is [{ file, action }] for the saved
+ *   reports; action is 'create', 'update' or 'unchanged' (left as it was, like an unchanged note)
+ * @throws {DayflowSyncError} OptionsError, ConfigError, PlatformError, DatabaseError or WriteError
+ */
+async function statsDayflow(options = {}) {
+  const settings = resolveSyncOptions({ ...options, days: options.days ?? CONFIG.defaultStatsDays });
+  const save = options.save ?? [];
+  const unknown = save.filter(outputFormat => outputFormat !== 'markdown' && outputFormat !== 'json');
+  if (unknown.length > 0) {
+    throw new OptionsError(`Unknown stats output: ${unknown.join(', ')}`, {
+      option: 'save',
+      details: ['Stats can be saved as markdown and/or json']
+    });
+  }
+
+  settings.databases.forEach(({ path: dbPath }) => validatePlatform(dbPath));
+  const dates = (settings.from
+    ? calculateDateRangeBetween(settings.from, settings.to)
+    : calculateDateRange(settings.days, settings)
+  ).reverse();
+
+  const db = openDatabases(settings);
+  let days;
+  try {
+    days = dates.map(dayString => ({ dayString, cards: fetchDayCards(db, dayString, settings).cards }));
+  } finally {
+    db.close();
+  }
+
+  const stats = buildStats(days, settings, options.focusCategories?.length > 0 ? options.focusCategories : ['Work']);
+  const files = [];
+  const key = `Stats_${stats.from}_${stats.to}`;
+
+  if (save.length === 0) {
+    return { ...stats, files };
+  }
+
+  // Saving writes into the output directory, so it takes the same lock as a sync
+  try {
+    await fs.mkdir(settings.outputDir, { recursive: true });
+  } catch (error) {
+    throw new WriteError(`Failed to create output directory: ${error.message}`, {
+      directory: settings.outputDir,
+      cause: error
+    });
+  }
+  const lock = await acquireOutputLock(settings.outputDir, settings.logger);
+  try {
+    // Stats notes are plain markdown for either target, like rollups
+    if (save.includes('markdown')) {
+      const filename = generateFilename(key, { ...settings, target: 'obsidian' });
+      const existingContent = await readExistingNote(path.join(settings.outputDir, filename));
+      let markdown = generateStatsNote(stats, !settings.force ? getExistingCreatedAt(existingContent) : null);
+      if (existingContent) {
+        markdown = mergeWithExistingNote(markdown, existingContent, settings.logger);
+      }
+      files.push(await writeNote(filename, markdown, settings));
+    }
+    if (save.includes('json')) {
+      files.push(await writeNote(generateFilename(key, settings, 'json'), JSON.stringify(stats, null, 2) + '\n', settings));
+    }
+  } finally {
+    await lock.release();
+  }
+
+  return {
+    ...stats,
+    files: files.map(({ file, action }) => ({ file: path.join(settings.outputDir, file), action }))
+  };
+}
+
+// ==================== Serve ====================
+// Loopback only, so nothing is reachable from other machines
+const SERVE_HOST = '127.0.0.1';
+
+// Parts of a day's export (see buildDayExport) served on their own
+const SERVE_DAY_PARTS = {
+  cards: day => ({ day: day.day, cards: day.cards }),
+  journal: day => ({ day: day.day, journal: day.journal, goals: day.goals }),
+  'app-usage': day => ({ day: day.day, app_usage: day.app_usage }),
+  distractions: day => ({ day: day.day, distractions: day.distractions })
+};
+
+const SERVE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Dayflow Timeline</title>
+<style>
+  body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, sans-serif; margin: 0 auto; max-width: 960px; padding: 1rem; color: #222; }
+  header { display: flex; gap: .5rem; align-items: center; flex-wrap: wrap; }
+  h1 { font-size: 1.2rem; margin: 0 1rem 0 0; }
+  select, button { font: inherit; }
+  #summary { color: #555; margin: 1rem 0; }
+  #strip { position: relative; height: 28px; background: #f2f2f2; border-radius: 4px; margin-bottom: 1rem; }
+  #strip div { position: absolute; top: 0; bottom: 0; opacity: .85; }
+  .card { border-left: 6px solid #999; padding: .25rem .75rem; margin: .5rem 0; background: #fafafa; }
+  .card .time { color: #666; font-size: .9em; }
+  .card p { margin: .25rem 0; }
+  section { margin-top: 1.5rem; }
+  h2 { font-size: 1rem; border-bottom: 1px solid #ddd; }
+  .muted { color: #888; }
+</style>
+</head>
+<body>
+<header>
+  <h1>Dayflow</h1>
+  <button id="previous" title="Previous day">&larr;</button>
+  <select id="days"></select>
+  <button id="next" title="Next day">&rarr;</button>
+</header>
+<div id="summary"></div>
+<div id="strip"></div>
+<div id="timeline"></div>
+<section><h2>Journal</h2><div id="journal"></div></section>
+<section><h2>App Usage</h2><div id="apps"></div></section>
+<section><h2>Distractions</h2><div id="distractions"></div></section>
+<script src="/app.js"></script>
+</body>
+</html>
+`;
+
+// Builds the page with textContent only, so card text is never parsed as HTML
+const SERVE_SCRIPT = `'use strict';
+const picker = document.getElementById('days');
+
+function element(tag, text, className) {
+  const node = document.createElement(tag);
+  if (text !== undefined && text !== null) node.textContent = text;
+  if (className) node.className = className;
+  return node;
+}
+
+function fill(id, nodes, empty) {
+  const target = document.getElementById(id);
+  target.replaceChildren(...(nodes.length > 0 ? nodes : [element('p', empty, 'muted')]));
+}
+
+function categoryColor(category) {
+  let hash = 0;
+  for (const char of category || 'Uncategorized') hash = (hash * 31 + char.charCodeAt(0)) % 360;
+  return 'hsl(' + hash + ', 55%, 55%)';
+}
+
+async function getJson(url) {
+  const response = await fetch(url);
+  const body = await response.json();
+  if (!response.ok) throw new Error(body.error || response.statusText);
+  return body;
+}
+
+function renderDay(day) {
+  const hours = (day.totals.minutes / 60).toFixed(1);
+  document.getElementById('summary').textContent =
+    hours + ' hours tracked in ' + day.totals.cards + ' cards' +
+    (day.categories.length > 0 ? ' · ' + day.categories.join(', ') : '');
+
+  const first = Math.min(...day.cards.map(card => card.start_ts));
+  const span = Math.max(...day.cards.map(card => card.end_ts)) - first;
+  fill('strip', day.cards.map(card => {
+    const bar = element('div');
+    bar.title = card.start + ' - ' + card.end + ' ' + (card.title || '');
+    bar.style.left = ((card.start_ts - first) / span * 100) + '%';
+    bar.style.width = Math.max((card.end_ts - card.start_ts) / span * 100, 0.3) + '%';
+    bar.style.background = categoryColor(card.category);
+    return bar;
+  }), '');
+
+  fill('timeline', day.cards.map(card => {
+    const node = element('div', null, 'card');
+    node.style.borderLeftColor = categoryColor(card.category);
+    node.append(
+      element('div', card.start + ' - ' + card.end + ' · ' + (card.category || 'Uncategorized') +
+        (card.subcategory ? ' / ' + card.subcategory : '') + (card.device ? ' · ' + card.device : '') +
+        ' · ' + card.duration_minutes + ' min', 'time'),
+      element('strong', card.title || 'Untitled'),
+      element('p', card.detailed_summary || card.summary || '')
+    );
+    return node;
+  }), 'No timeline cards for this day');
+
+  const journal = day.journal || {};
+  fill('journal', [
+    ['Intentions', journal.intentions],
+    ['Notes', journal.notes],
+    ['Reflections', journal.reflections],
+    ['Summary', journal.summary]
+  ].filter(([, text]) => text).flatMap(([label, text]) => [element('h3', label), element('p', text)])
+    .concat(day.goals.map(goal => element('div', (goal.completed ? '☑ ' : '☐ ') + goal.text +
+      (goal.minutes ? ' — ' + goal.minutes + ' min' : '')))), 'No journal entry');
+
+  fill('apps', day.app_usage.map(usage =>
+    element('div', usage.app + ' — ' + usage.totalMinutes + ' min (' + usage.sessions + ' sessions)')), 'No app usage recorded');
+  fill('distractions', day.distractions.map(distraction =>
+    element('div', distraction.startTime + ' - ' + distraction.endTime + ': ' + distraction.title)), 'No distractions recorded');
+}
+
+async function showDay(dayString) {
+  try {
+    renderDay(await getJson('/api/days/' + dayString));
+    location.hash = dayString;
+  } catch (error) {
+    document.getElementById('summary').textContent = 'Could not load ' + dayString + ': ' + error.message;
+  }
+}
+
+function step(offset) {
+  const index = picker.selectedIndex - offset;
+  if (index >= 0 && index < picker.options.length) {
+    picker.selectedIndex = index;
+    showDay(picker.value);
+  }
+}
+
+async function start() {
+  const { days } = await getJson('/api/days');
+  picker.replaceChildren(...days.map(day => {
+    const option = element('option', day.day + (day.cards > 0 ? ' (' + day.cards + ' cards)' : ''));
+    option.value = day.day;
+    return option;
+  }));
+  const wanted = location.hash.slice(1);
+  if (days.some(day => day.day === wanted)) picker.value = wanted;
+  showDay(picker.value);
+}
+
+picker.addEventListener('change', () => showDay(picker.value));
+document.getElementById('previous').addEventListener('click', () => step(-1));
+document.getElementById('next').addEventListener('click', () => step(1));
+start().catch(error => { document.getElementById('summary').textContent = error.message; });
+`;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendResponse(response, status, body, contentType, headers = {}) {
+  response.writeHead(status, {
+    'Content-Type': contentType,
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer',
+    ...headers
+  });
+  response.end(body);
+}
+
+function sendJson(response, status, value) {
+  sendResponse(response, status, JSON.stringify(value, null, 2) + '\n', 'application/json; charset=utf-8');
+}
+
+/**
+ * A day from the database, filtered and aggregated exactly as the JSON
+ * export of a sync (rules, redaction, failed cards, overlap-free totals).
+ */
+function loadDayExport(db, dayString, settings) {
+  const { cards } = fetchDayCards(db, dayString, settings);
+  return buildDayExport(dayString, cards, fetchDayJournal(db, dayString, settings), settings);
+}
+
+function listServeDays(db, query, settings) {
+  const range = parseDateRangeOptions(query.get('from'), query.get('to'), settings);
+  const dates = range
+    ? calculateDateRangeBetween(range.from, range.to)
+    : calculateDateRange(settings.days, settings);
+
+  return {
+    from: dates[dates.length - 1],
+    to: dates[0],
+    days: dates.map(dayString => {
+      const { cards } = fetchDayCards(db, dayString, settings);
+      return {
+        day: dayString,
+        cards: cards.length,
+        minutes: calculateTotalMinutes(cards),
+        categories: extractCategories(cards),
+        has_journal: !!fetchDayJournal(db, dayString, settings)
+      };
+    })
+  };
+}
+
+/**
+ * Answers one request. Only GET (and HEAD) on the page, its script and the
+ * JSON endpoints exist; everything else is an error response.
+ */
+function handleServeRequest(request, response, { db, settings, allowedHosts }) {
+  // Another site resolving its name to 127.0.0.1 (DNS rebinding) sends its own Host
+  if (!allowedHosts.has(request.headers.host)) {
+    throw new HttpError(403, 'Unexpected Host header');
+  }
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    throw new HttpError(405, `Method not allowed: ${request.method}`);
+  }
+
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  if (url.pathname === '/') {
+    return sendResponse(response, 200, SERVE_PAGE, 'text/html; charset=utf-8', {
+      'Content-Security-Policy': "default-src 'none'; script-src 'self'; style-src 'unsafe-inline'; connect-src 'self'"
+    });
+  }
+  if (url.pathname === '/app.js') {
+    return sendResponse(response, 200, SERVE_SCRIPT, 'text/javascript; charset=utf-8');
+  }
+  if (url.pathname === '/api/days') {
+    return sendJson(response, 200, listServeDays(db, url.searchParams, settings));
+  }
+
+  const match = url.pathname.match(/^\/api\/days\/(\d{4}-\d{2}-\d{2})(?:\/([a-z-]+))?$/);
+  if (!match) {
+    throw new HttpError(404, `Not found: ${url.pathname}`);
+  }
+
+  const [, dayString, part] = match;
+  if (!isValid(parseISO(dayString))) {
+    throw new HttpError(400, `Invalid day: ${dayString}`);
+  }
+  if (part && !SERVE_DAY_PARTS[part]) {
+    throw new HttpError(404, `Not found: ${url.pathname}`);
+  }
+
+  const day = loadDayExport(db, dayString, settings);
+  return sendJson(response, 200, part ? SERVE_DAY_PARTS[part](day) : day);
+}
+
+/**
+ * Serves a read-only timeline browser and JSON API on 127.0.0.1, straight
+ * from the database. Nothing is written and nothing listens beyond this
+ * machine. Endpoints:
+ *
+ *   GET /                                  Day picker and timeline page
+ *   GET /api/days[?from=&to=]              Days with card count, minutes, categories
+ *   GET /api/days/:day                     The day as in the JSON export
+ *   GET /api/days/:day/cards|journal|app-usage|distractions
+ *
+ * Takes the syncDayflow options that locate the database (dbPath, databases,
+ * dayStartHour, timezone, rules, ...), plus:
+ * @param {AbortSignal} options.signal - Stops the server when aborted
+ * @param {number} [options.port=4777] - 0 picks a free port
+ * @param {number} [options.days=30] - Days /api/days lists without from/to
+ * @returns {Promise<{ url: string, requests: number }>} Once stopped
+ * @throws {DayflowSyncError} OptionsError (including a port in use), ConfigError, PlatformError or DatabaseError
+ */
+async function serveDayflow(options = {}) {
+  const settings = resolveSyncOptions({ ...options, days: options.days ?? CONFIG.defaultServeDays });
+  const { logger } = settings;
+  const { signal } = options;
+
+  const port = options.port ?? CONFIG.defaultServePort;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new OptionsError(`Invalid port: ${port}`, {
+      option: 'port',
+      details: ['port must be a whole number from 0 to 65535']
+    });
+  }
+
+  settings.databases.forEach(({ path: dbPath }) => validatePlatform(dbPath));
+  const db = openDatabases(settings);
+  let requests = 0;
+  const allowedHosts = new Set();
+
+  const server = http.createServer((request, response) => {
+    requests++;
+    try {
+      handleServeRequest(request, response, { db, settings, allowedHosts });
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : error instanceof OptionsError ? 400 : 500;
+      if (status === 500) {
+        logger.error(`  ✗ ${request.method} ${request.url}: ${error.message}`);
+      }
+      sendJson(response, status, {
+        error: error.message,
+        ...(error.details?.length > 0 && { details: error.details })
+      });
+    }
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, SERVE_HOST, resolve);
+    });
+  } catch (error) {
+    db.close();
+    throw error.code === 'EADDRINUSE'
+      ? new OptionsError(`Port ${port} is already in use`, { option: 'port', details: ['Pick another port with --port'] })
+      : error;
+  }
+
+  const { port: boundPort } = server.address();
+  [`${SERVE_HOST}:${boundPort}`, `localhost:${boundPort}`].forEach(host => allowedHosts.add(host));
+  const url = `http://${SERVE_HOST}:${boundPort}/`;
+  logger.log(`\n🌐 Serving ${settings.databases.map(({ path: dbPath }) => dbPath).join(', ')} at ${url} (read-only, Ctrl+C to stop)`);
+
+  if (!signal?.aborted) {
+    await new Promise(resolve => signal?.addEventListener('abort', resolve, { once: true }));
+  }
+
+  await new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections?.();
+  });
+  db.close();
+
+  return { url, requests };
+}
+
+export {
+  syncDayflow,
+  watchDayflow,
+  searchDayflow,
+  statsDayflow,
+  serveDayflow,
+  formatStatsReport,
+  resolveSyncOptions,
+  loadConfigSettings,
+  expandHomeDir,
+  DEFAULT_TEMPLATE,
+  compileTemplate,
+  renderTemplate,
+  CONFIG,
+  OUTPUT_FORMATS,
+  TARGETS,
+  VIDEO_EMBEDS,
+  NOTE_SECTIONS,
+  DayflowSyncError,
+  OptionsError,
+  ConfigError,
+  PlatformError,
+  DatabaseError,
+  TemplateError,
+  WriteError
+};